@@ -0,0 +1,23 @@
+// Send rate limits for the delivery providers, as token buckets: up to
+// `rate` sends per `interval` ms, with bursts of up to `burst` sends. A
+// provider without a rate is not limited.
+module.exports = {
+  sms: {
+    provider: "twilio",
+    rate: parseInt(process.env.SMS_RATE_PER_SECOND) || 0,
+    interval: 1000,
+    burst: parseInt(process.env.SMS_RATE_BURST) || undefined,
+  },
+  email: {
+    provider: "smtp",
+    rate: parseInt(process.env.EMAIL_RATE_PER_MINUTE) || 0,
+    interval: 60 * 1000,
+    burst: parseInt(process.env.EMAIL_RATE_BURST) || undefined,
+  },
+  // Backoff after the provider answers 429 / throttles, doubling on every
+  // repeat until it has been quiet for a while
+  backoff: {
+    initial: parseInt(process.env.PROVIDER_BACKOFF_MS) || 1000,
+    max: parseInt(process.env.PROVIDER_BACKOFF_MAX_MS) || 60 * 1000,
+  },
+};
@@ -0,0 +1,37 @@
+// One Bull queue per channel, each with its own concurrency and retry
+// policy, so a slow channel cannot hold up the others. With
+// QUEUE_PRIORITY_TIERS=true high-priority notifications also get a queue
+// of their own per channel.
+const channel = (type, defaults) => {
+  const prefix = type.replace("-", "_").toUpperCase();
+  return {
+    concurrency:
+      parseInt(process.env[`${prefix}_QUEUE_CONCURRENCY`]) ||
+      defaults.concurrency,
+    attempts:
+      parseInt(process.env[`${prefix}_QUEUE_ATTEMPTS`]) || defaults.attempts,
+    backoff: {
+      type: "exponential",
+      delay:
+        parseInt(process.env[`${prefix}_QUEUE_BACKOFF_MS`]) || defaults.delay,
+    },
+  };
+};
+
+module.exports = {
+  priorityTiers: process.env.QUEUE_PRIORITY_TIERS === "true",
+  channels: {
+    email: channel("email", { concurrency: 5, attempts: 3, delay: 5000 }),
+    sms: channel("sms", { concurrency: 5, attempts: 3, delay: 2000 }),
+    "in-app": channel("in-app", { concurrency: 10, attempts: 3, delay: 1000 }),
+  },
+  // Recurring schedules, fallback checks and digest flushes
+  system: {
+    concurrency: 1,
+    attempts: 3,
+    backoff: {
+      type: "exponential",
+      delay: 2000,
+    },
+  },
+};
@@ -0,0 +1,44 @@
+const logger = require("../utils/logger");
+
+// Rate limit rules, set with RATE_LIMITS as a JSON array, e.g. at most 5 SMS
+// per user per hour:
+//   [{ "scope": "user", "channel": "sms", "limit": 5, "window": 3600 }]
+//
+//   scope     what is counted: "recipient" (address), "user", "category"
+//             (per user and category) or "channel" (all traffic)
+//   channel   only count this notification type (optional)
+//   category  only count this category (optional)
+//   limit     notifications allowed per window
+//   window    window length in seconds
+//   policy    "defer" to the end of the window (default) or "drop"
+const SCOPES = ["recipient", "user", "category", "channel"];
+const POLICIES = ["defer", "drop"];
+
+const isValidRule = (rule) =>
+  SCOPES.includes(rule.scope) &&
+  Number.isInteger(rule.limit) &&
+  rule.limit >= 0 &&
+  Number.isInteger(rule.window) &&
+  rule.window > 0 &&
+  (!rule.policy || POLICIES.includes(rule.policy));
+
+const loadRateLimits = () => {
+  if (!process.env.RATE_LIMITS) {
+    return [];
+  }
+
+  try {
+    const rules = JSON.parse(process.env.RATE_LIMITS);
+
+    return rules.filter((rule) => {
+      if (isValidRule(rule)) return true;
+      logger.warn("Ignoring invalid rate limit rule", { rule });
+      return false;
+    });
+  } catch (error) {
+    logger.error("Failed to parse RATE_LIMITS:", error);
+    return [];
+  }
+};
+
+module.exports = loadRateLimits();
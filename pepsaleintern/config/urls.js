@@ -0,0 +1,8 @@
+// Public URL of this service, used in links sent to users (unsubscribe and
+// email tracking). Set PUBLIC_BASE_URL when running behind a proxy.
+module.exports = {
+  publicBaseUrl: (
+    process.env.PUBLIC_BASE_URL ||
+    `http://localhost:${process.env.PORT || 3000}`
+  ).replace(/\/$/, ""),
+};
@@ -0,0 +1,83 @@
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+
+// Compare secrets without leaking their contents through timing
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Protect admin routes with the ADMIN_API_KEY, sent as an x-api-key header
+// or a bearer token
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    logger.warn("Admin request rejected: ADMIN_API_KEY is not set", {
+      path: req.originalUrl,
+    });
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: "Admin API is not configured",
+      },
+    });
+  }
+
+  const authorization = req.get("Authorization") || "";
+  const key =
+    req.get("x-api-key") ||
+    (authorization.startsWith("Bearer ") ? authorization.slice(7) : "");
+
+  if (!key || !safeEqual(key, adminKey)) {
+    logger.warn("Admin request rejected: invalid API key", {
+      path: req.originalUrl,
+      ip: req.ip,
+    });
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: "Invalid or missing API key",
+      },
+    });
+  }
+
+  next();
+};
+
+// Protect provider webhooks with EMAIL_WEBHOOK_SECRET, sent as an
+// x-webhook-secret header or a token query parameter (for providers that
+// only let you configure a URL)
+const requireWebhookSecret = (req, res, next) => {
+  const secret = process.env.EMAIL_WEBHOOK_SECRET;
+  if (!secret) {
+    logger.warn("Webhook rejected: EMAIL_WEBHOOK_SECRET is not set", {
+      path: req.originalUrl,
+    });
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: "Webhook is not configured",
+      },
+    });
+  }
+
+  const token = req.get("x-webhook-secret") || req.query.token || "";
+
+  if (!token || !safeEqual(String(token), secret)) {
+    logger.warn("Webhook rejected: invalid secret", {
+      path: req.path,
+      ip: req.ip,
+    });
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: "Invalid or missing webhook secret",
+      },
+    });
+  }
+
+  next();
+};
+
+module.exports = { requireAdmin, requireWebhookSecret };
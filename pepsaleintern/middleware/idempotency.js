@@ -0,0 +1,107 @@
+const IdempotencyKey = require("../models/IdempotencyKey");
+const logger = require("../utils/logger");
+
+// How long a key is remembered (default 24 hours)
+const RETENTION_MS =
+  parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS || "24") * 60 * 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+// Make a route safe to retry: a request carrying an Idempotency-Key header
+// (or idempotencyKey body field) that repeats an earlier one gets the
+// original response back instead of being processed again. Reusing a key
+// with a different payload is a conflict. Only successful responses are
+// stored; after an error or a dropped connection the key is released, so the
+// client can retry with the same key.
+const idempotency = (scope) => async (req, res, next) => {
+  const key = req.get("Idempotency-Key") || req.body.idempotencyKey;
+  if (!key) {
+    return next();
+  }
+
+  if (typeof key !== "string" || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Idempotency key must be a string of at most ${MAX_KEY_LENGTH} characters`,
+      },
+    });
+  }
+
+  try {
+    const { idempotencyKey, ...payload } = req.body;
+    const requestHash = IdempotencyKey.hashPayload(payload);
+    const { record, created } = await IdempotencyKey.claim(
+      scope,
+      key,
+      requestHash,
+      RETENTION_MS
+    );
+
+    if (!created) {
+      if (record.requestHash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message:
+              "Idempotency key was already used with a different request payload",
+          },
+        });
+      }
+
+      if (record.status === "processing") {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: "A request with this idempotency key is still in progress",
+          },
+        });
+      }
+
+      logger.info(`Idempotent replay: ${key}`, { scope });
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Capture the body the route handler sends
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    // Record the response once it has gone out, whichever way it ended
+    let settled = false;
+    const settle = () => {
+      if (settled) return;
+      settled = true;
+
+      const success =
+        res.writableFinished &&
+        res.statusCode >= 200 &&
+        res.statusCode < 300 &&
+        responseBody !== undefined;
+      const update = success
+        ? record.complete(res.statusCode, responseBody)
+        : record.deleteOne();
+      update.catch((error) =>
+        logger.error(`Failed to store idempotent response ${key}:`, error)
+      );
+    };
+    res.on("finish", settle);
+    res.on("close", settle);
+
+    next();
+  } catch (error) {
+    logger.error("Error checking idempotency key:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to check idempotency key",
+      },
+    });
+  }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,38 @@
+const twilio = require("twilio");
+const logger = require("../utils/logger");
+
+// URL Twilio signed: TWILIO_WEBHOOK_BASE_URL when behind a proxy that
+// rewrites the host or protocol, otherwise the URL of this request
+const getSignedUrl = (req) => {
+  const base =
+    process.env.TWILIO_WEBHOOK_BASE_URL ||
+    `${req.protocol}://${req.get("host")}`;
+  return `${base.replace(/\/$/, "")}${req.originalUrl}`;
+};
+
+// Reject webhook requests that do not carry a valid X-Twilio-Signature
+const verifyTwilioSignature = (req, res, next) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.get("X-Twilio-Signature");
+
+  if (
+    !authToken ||
+    !signature ||
+    !twilio.validateRequest(authToken, signature, getSignedUrl(req), req.body)
+  ) {
+    logger.warn("Rejected Twilio webhook with an invalid signature", {
+      path: req.originalUrl,
+      ip: req.ip,
+    });
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: "Invalid Twilio signature",
+      },
+    });
+  }
+
+  next();
+};
+
+module.exports = { verifyTwilioSignature };
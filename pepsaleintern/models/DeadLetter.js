@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+
+// A notification that failed permanently, with what is needed to diagnose
+// and replay it
+const deadLetterSchema = new mongoose.Schema(
+  {
+    notificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["email", "sms", "in-app"],
+      required: true,
+    },
+    recipient: {
+      type: String,
+    },
+    priority: {
+      type: String,
+    },
+    category: {
+      type: String,
+    },
+    // Content as it was when the notification failed
+    payload: {
+      subject: String,
+      message: String,
+      templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Template",
+      },
+      variables: mongoose.Schema.Types.Mixed,
+      metadata: mongoose.Schema.Types.Mixed,
+    },
+    error: {
+      message: String,
+      code: mongoose.Schema.Types.Mixed,
+      permanent: Boolean,
+    },
+    providerResponse: {
+      type: mongoose.Schema.Types.Mixed, // Status, codes and text from Twilio/SMTP
+    },
+    attempts: {
+      type: Number,
+    },
+    queueName: {
+      type: String,
+    },
+    jobId: {
+      type: String,
+    },
+    failedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: ["dead", "replayed"],
+      default: "dead",
+    },
+    replayCount: {
+      type: Number,
+      default: 0,
+    },
+    replayedAt: {
+      type: Date,
+    },
+    // Fields changed when the entry was last replayed
+    replayChanges: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+deadLetterSchema.index({ status: 1, failedAt: -1 });
+deadLetterSchema.index({ type: 1, failedAt: -1 });
+
+// Method to record a replay of this entry
+deadLetterSchema.methods.markAsReplayed = function (changes) {
+  this.status = "replayed";
+  this.replayCount += 1;
+  this.replayedAt = new Date();
+  this.replayChanges = changes;
+  return this.save();
+};
+
+const DeadLetter = mongoose.model("DeadLetter", deadLetterSchema);
+
+module.exports = DeadLetter;
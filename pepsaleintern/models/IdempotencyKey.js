@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Stored outcome of a request made with an Idempotency-Key
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    // Route the key was used on, e.g. "POST /notifications"
+    scope: {
+      type: String,
+      required: true,
+    },
+    requestHash: {
+      type: String, // SHA-256 of the request payload
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    responseStatus: {
+      type: Number,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+// MongoDB removes records once their retention window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash of a payload that ignores key order
+idempotencyKeySchema.statics.hashPayload = function (payload) {
+  const canonical = (value) => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === "object") {
+      return Object.keys(value)
+        .sort()
+        .reduce((result, key) => {
+          result[key] = canonical(value[key]);
+          return result;
+        }, {});
+    }
+    return value;
+  };
+
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(canonical(payload)))
+    .digest("hex");
+};
+
+// Claim a key for a new request. Returns { record, created }: created is
+// false when the key was already used within the retention window.
+idempotencyKeySchema.statics.claim = async function (
+  scope,
+  key,
+  requestHash,
+  ttl
+) {
+  // The TTL monitor only runs periodically, so drop expired records here
+  await this.deleteOne({ scope, key, expiresAt: { $lte: new Date() } });
+
+  try {
+    const record = await this.create({
+      scope,
+      key,
+      requestHash,
+      expiresAt: new Date(Date.now() + ttl),
+    });
+    return { record, created: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const record = await this.findOne({ scope, key });
+    if (!record) {
+      // Expired between the insert and the lookup
+      return this.claim(scope, key, requestHash, ttl);
+    }
+    return { record, created: false };
+  }
+};
+
+// Store the response so repeats of the request can be answered with it
+idempotencyKeySchema.methods.complete = function (responseStatus, body) {
+  this.status = "completed";
+  this.responseStatus = responseStatus;
+  this.responseBody = body;
+  return this.save();
+};
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// An SMS received on our Twilio number
+const inboundMessageSchema = new mongoose.Schema(
+  {
+    messageSid: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    from: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    to: {
+      type: String,
+    },
+    body: {
+      type: String,
+    },
+    // User whose SMS address is the sender's number, if any
+    userId: {
+      type: String,
+      index: true,
+    },
+    keyword: {
+      type: String,
+      enum: ["stop", "start", "help"],
+    },
+    reply: {
+      type: String, // Auto-reply sent back
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const InboundMessage = mongoose.model("InboundMessage", inboundMessageSchema);
+
+module.exports = InboundMessage;
@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+
+// Parent of the per-channel notifications created by one fan-out request
+const messageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Channels as requested: an explicit list, or "all" enabled channels
+    requestedChannels: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    channels: [
+      {
+        type: String,
+        enum: ["email", "sms", "in-app"],
+      },
+    ],
+    subject: {
+      type: String,
+    },
+    message: {
+      type: String,
+    },
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Template",
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high"],
+      default: "medium",
+    },
+    metadata: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    notifications: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Notification",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Aggregate delivery state across the child notifications
+messageSchema.methods.getDeliveryState = async function () {
+  const Notification = mongoose.model("Notification");
+  const notifications = await Notification.find({ messageId: this._id })
+    .select(
+      "type status recipient attempts errorMessage suppressionReason sentAt failedAt"
+    )
+    .sort({ createdAt: 1 });
+
+  const byStatus = notifications.reduce((acc, notification) => {
+    acc[notification.status] = (acc[notification.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  const total = notifications.length;
+  // Duplicates were delivered by the notification they duplicate
+  const sent =
+    (byStatus.sent || 0) +
+    (byStatus.deduplicated || 0) +
+    (byStatus.collapsed || 0);
+  const failed = byStatus.failed || 0;
+  const cancelled = byStatus.cancelled || 0;
+  const suppressed = byStatus.suppressed || 0;
+  // Not finished yet, including records held for the user's next digest
+  const pending = total - sent - failed - cancelled - suppressed;
+
+  let status = "in_progress";
+  if (total > 0 && sent === total) {
+    status = "delivered";
+  } else if (total > 0 && pending === 0) {
+    status = sent > 0 ? "partially_delivered" : "failed";
+  }
+
+  return {
+    status,
+    total,
+    pending,
+    byStatus,
+    channels: notifications.map((notification) => ({
+      notificationId: notification._id,
+      type: notification.type,
+      status: notification.status,
+      recipient: notification.recipient,
+      attempts: notification.attempts,
+      errorMessage: notification.errorMessage,
+      suppressionReason: notification.suppressionReason,
+      sentAt: notification.sentAt,
+      failedAt: notification.failedAt,
+    })),
+  };
+};
+
+const Message = mongoose.model("Message", messageSchema);
+
+module.exports = Message;
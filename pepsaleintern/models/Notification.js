@@ -1,4 +1,54 @@
 const mongoose = require("mongoose");
+const queueConfig = require("../config/queues");
+
+// Delivery status reported by the provider after sending
+const deliveryEventSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      required: true,
+    },
+    provider: {
+      type: String,
+    },
+    errorCode: {
+      type: String,
+    },
+    errorMessage: {
+      type: String,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Email open or click recorded through a tracking link
+const engagementEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["open", "click"],
+      required: true,
+    },
+    url: {
+      type: String, // Link target of a click
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -15,12 +65,33 @@ const notificationSchema = new mongoose.Schema(
     subject: {
       type: String,
       required: function () {
-        return this.type === "email";
+        return this.type === "email" && !this.templateId;
       },
     },
     message: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.templateId;
+      },
+    },
+    html: {
+      type: String, // Rendered HTML body for templated emails
+    },
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Template",
+    },
+    templateVersion: {
+      type: Number,
+    },
+    variables: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    locale: {
+      type: String, // BCP 47 tag used to render the notification
+    },
+    timezone: {
+      type: String, // IANA time zone used to format dates
     },
     recipient: {
       type: String,
@@ -30,7 +101,19 @@ const notificationSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "queued", "processing", "sent", "failed"],
+      enum: [
+        "pending",
+        "scheduled",
+        "queued",
+        "processing",
+        "sent",
+        "failed",
+        "cancelled",
+        "suppressed",
+        "held",
+        "deduplicated",
+        "collapsed",
+      ],
       default: "pending",
     },
     priority: {
@@ -49,20 +132,172 @@ const notificationSchema = new mongoose.Schema(
     },
     maxAttempts: {
       type: Number,
-      default: 3,
+      // Retry policy of the channel's queue
+      default: function () {
+        const channel = queueConfig.channels[this.type];
+        return channel ? channel.attempts : 3;
+      },
     },
     errorMessage: {
       type: String,
     },
+    scheduledAt: {
+      type: Date, // When a scheduled notification should be sent
+    },
+    bypassQuietHours: {
+      type: Boolean,
+      default: false,
+    },
+    deferredUntil: {
+      type: Date, // Last time sending was postponed by the worker
+    },
+    deferralReason: {
+      type: String,
+    },
     sentAt: {
       type: Date,
     },
+    deliveredAt: {
+      type: Date, // Delivery confirmed by the provider
+    },
+    providerMessageId: {
+      type: String, // Twilio message SID or SMTP message ID
+      index: true,
+    },
+    deliveryEvents: [deliveryEventSchema],
     failedAt: {
       type: Date,
     },
+    cancelledAt: {
+      type: Date,
+    },
+    suppressedAt: {
+      type: Date,
+    },
+    suppressionReason: {
+      type: String, // Why the notification was not sent (e.g. opt-out)
+    },
     jobId: {
       type: String, // Bull queue job ID
     },
+    queueName: {
+      type: String, // Queue holding the job (see config/queues)
+    },
+    // Digest batching: held records are delivered through a digest
+    // notification, which is flagged with isDigest
+    isDigest: {
+      type: Boolean,
+      default: false,
+    },
+    heldAt: {
+      type: Date,
+    },
+    digestNotificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+      index: true,
+    },
+    deliveredVia: {
+      type: String,
+      enum: ["direct", "digest"],
+    },
+    // Deduplication: within the window a notification with the same key is
+    // dropped (dedupeKey) or, in-app, collapsed into the earlier one
+    // (collapseKey)
+    dedupeKey: {
+      type: String,
+    },
+    collapseKey: {
+      type: String,
+    },
+    dedupeWindow: {
+      type: Number, // ms
+    },
+    collapseCount: {
+      type: Number, // Notifications collapsed into this one, itself included
+      default: 1,
+    },
+    lastCollapsedAt: {
+      type: Date,
+    },
+    duplicateOfId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+    },
+    deduplicatedAt: {
+      type: Date,
+    },
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId, // Parent fan-out message
+      ref: "Message",
+      index: true,
+    },
+    // Channels to try next if this one fails or is never confirmed
+    fallback: {
+      channels: [
+        {
+          type: String,
+          enum: ["email", "sms", "in-app"],
+        },
+      ],
+      timeout: {
+        type: Number, // ms to wait for delivery confirmation
+      },
+      recipients: {
+        type: mongoose.Schema.Types.Mixed, // Per-channel recipient overrides
+      },
+      rootNotificationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Notification",
+      },
+      previousNotificationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Notification",
+      },
+      nextNotificationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Notification",
+      },
+      triggeredAt: {
+        type: Date,
+      },
+      reason: {
+        type: String,
+      },
+    },
+    // Engagement lifecycle (in-app only), independent of delivery status
+    readAt: {
+      type: Date,
+    },
+    seenAt: {
+      type: Date,
+    },
+    archivedAt: {
+      type: Date,
+    },
+    dismissedAt: {
+      type: Date,
+    },
+    // Email open/click tracking (only when the email was instrumented)
+    tracked: {
+      type: Boolean,
+      default: false,
+    },
+    openedAt: {
+      type: Date,
+    },
+    clickedAt: {
+      type: Date,
+    },
+    openCount: {
+      type: Number,
+      default: 0,
+    },
+    clickCount: {
+      type: Number,
+      default: 0,
+    },
+    engagementEvents: [engagementEventSchema],
   },
   {
     timestamps: true,
@@ -73,10 +308,21 @@ const notificationSchema = new mongoose.Schema(
 notificationSchema.index({ userId: 1, createdAt: -1 });
 notificationSchema.index({ status: 1, createdAt: -1 });
 notificationSchema.index({ type: 1, status: 1 });
+notificationSchema.index({ status: 1, scheduledAt: 1 });
+notificationSchema.index({ userId: 1, type: 1, readAt: 1 });
+notificationSchema.index({ status: 1, userId: 1, heldAt: 1 });
+notificationSchema.index({ userId: 1, dedupeKey: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, collapseKey: 1, createdAt: -1 });
+notificationSchema.index({ type: 1, tracked: 1, sentAt: -1 });
 
 // Virtual for checking if notification is read (for in-app notifications)
 notificationSchema.virtual("isRead").get(function () {
-  return this.type === "in-app" && this.status === "sent";
+  return this.type === "in-app" && !!this.readAt;
+});
+
+// Virtual for checking if notification has been seen in the inbox
+notificationSchema.virtual("isSeen").get(function () {
+  return this.type === "in-app" && !!this.seenAt;
 });
 
 // Method to mark notification as failed
@@ -91,9 +337,62 @@ notificationSchema.methods.markAsFailed = function (errorMessage) {
 notificationSchema.methods.markAsSent = function () {
   this.status = "sent";
   this.sentAt = new Date();
+  this.deliveredVia = "direct";
+  return this.save();
+};
+
+// Method to record a provider delivery callback
+notificationSchema.methods.addDeliveryEvent = function (event) {
+  this.deliveryEvents.push(event);
+  if (event.status === "delivered" && !this.deliveredAt) {
+    this.deliveredAt = event.at || new Date();
+  }
+  return this.save();
+};
+
+// Method to hold a notification for the user's next digest
+notificationSchema.methods.markAsHeld = function () {
+  this.status = "held";
+  this.heldAt = new Date();
+  return this.save();
+};
+
+// Method to cancel a scheduled notification
+notificationSchema.methods.markAsCancelled = function () {
+  this.status = "cancelled";
+  this.cancelledAt = new Date();
+  return this.save();
+};
+
+// Method to record that a notification was deliberately not sent
+notificationSchema.methods.markAsSuppressed = function (reason) {
+  this.status = "suppressed";
+  this.suppressedAt = new Date();
+  this.suppressionReason = reason;
   return this.save();
 };
 
+// Method to record that a notification duplicates an earlier one, either
+// dropped ("deduplicated") or merged into it ("collapsed")
+notificationSchema.methods.markAsDuplicate = function (
+  originalId,
+  status = "deduplicated"
+) {
+  this.status = status;
+  this.duplicateOfId = originalId;
+  this.deduplicatedAt = new Date();
+  return this.save();
+};
+
+// Category from metadata (metadata is a Map on documents)
+notificationSchema.methods.getCategory = function () {
+  const { metadata } = this;
+  const category =
+    metadata &&
+    (metadata instanceof Map ? metadata.get("category") : metadata.category);
+  return category || "general";
+};
+
 // Method to increment attempts
 notificationSchema.methods.incrementAttempts = function () {
   this.attempts += 1;
@@ -101,6 +400,103 @@ notificationSchema.methods.incrementAttempts = function () {
   return this.save();
 };
 
+// Whether delivery has been confirmed (in-app: the user has seen it)
+notificationSchema.methods.isDeliveryConfirmed = function () {
+  return this.type === "in-app" ? !!this.seenAt : !!this.deliveredAt;
+};
+
+// Whether a sent notification should be checked for confirmation once its
+// fallback timeout ends
+notificationSchema.methods.needsFallbackCheck = function () {
+  const { fallback } = this;
+  return (
+    !!fallback &&
+    !!fallback.timeout &&
+    fallback.channels.length > 0 &&
+    Notification.canConfirmDelivery(this.type)
+  );
+};
+
+// Method to mark in-app notification as read (reading implies seeing)
+notificationSchema.methods.markAsRead = function () {
+  const now = new Date();
+  if (!this.readAt) this.readAt = now;
+  if (!this.seenAt) this.seenAt = now;
+  return this.save();
+};
+
+// Method to mark in-app notification as seen
+notificationSchema.methods.markAsSeen = function () {
+  if (!this.seenAt) this.seenAt = new Date();
+  return this.save();
+};
+
+// Method to archive in-app notification
+notificationSchema.methods.archive = function () {
+  if (!this.archivedAt) this.archivedAt = new Date();
+  return this.save();
+};
+
+// Method to dismiss in-app notification
+notificationSchema.methods.dismiss = function () {
+  if (!this.dismissedAt) this.dismissedAt = new Date();
+  return this.save();
+};
+
+// Query for in-app notifications still in the user's inbox and not yet read.
+// Records delivered through a digest were shown in it, so they do not count.
+notificationSchema.statics.unreadFilter = function (userId) {
+  return {
+    userId,
+    type: "in-app",
+    status: {
+      $nin: [
+        "scheduled",
+        "failed",
+        "cancelled",
+        "suppressed",
+        "held",
+        "deduplicated",
+        "collapsed",
+      ],
+    },
+    readAt: null,
+    archivedAt: null,
+    dismissedAt: null,
+    deliveredVia: { $ne: "digest" },
+  };
+};
+
+// Mark the records rolled up into a digest as delivered once it is sent
+notificationSchema.statics.markDigestDelivered = function (digestId) {
+  return this.updateMany(
+    { digestNotificationId: digestId, status: "held" },
+    { status: "sent", sentAt: new Date(), deliveredVia: "digest" }
+  );
+};
+
+// Return the records of a failed digest to the pool for the next one
+notificationSchema.statics.releaseDigest = function (digestId) {
+  return this.updateMany(
+    { digestNotificationId: digestId, status: "held" },
+    { $unset: { digestNotificationId: 1 } }
+  );
+};
+
+// Whether a channel reports delivery, so a fallback timeout can be checked:
+// in-app is confirmed when seen, SMS by Twilio status callbacks (only sent
+// when TWILIO_STATUS_CALLBACK_URL is set). Email has no delivery receipts.
+notificationSchema.statics.canConfirmDelivery = function (type) {
+  if (type === "in-app") return true;
+  if (type === "sms") return !!process.env.TWILIO_STATUS_CALLBACK_URL;
+  return false;
+};
+
+// Count unread in-app notifications for a user
+notificationSchema.statics.countUnread = function (userId) {
+  return this.countDocuments(this.unreadFilter(userId));
+};
+
 const Notification = mongoose.model("Notification", notificationSchema);
 
 module.exports = Notification;
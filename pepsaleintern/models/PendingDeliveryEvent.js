@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// Provider status callback that arrived before the worker stored the
+// provider message ID on its notification. Applied once the ID is stored.
+const pendingDeliveryEventSchema = new mongoose.Schema(
+  {
+    providerMessageId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      required: true,
+    },
+    provider: {
+      type: String,
+    },
+    errorCode: {
+      type: String,
+    },
+    errorMessage: {
+      type: String,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    // Callbacks for messages we never stored are dropped after a day
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 24 * 60 * 60 * 1000),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pendingDeliveryEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PendingDeliveryEvent = mongoose.model(
+  "PendingDeliveryEvent",
+  pendingDeliveryEventSchema
+);
+
+module.exports = PendingDeliveryEvent;
@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+const cronParser = require("cron-parser");
+
+const recurringScheduleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["email", "sms", "in-app"],
+      required: true,
+    },
+    cron: {
+      type: String,
+      required: true,
+    },
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+    // Fields copied onto every Notification created by this schedule
+    payload: {
+      subject: {
+        type: String,
+      },
+      message: {
+        type: String,
+        required: true,
+      },
+      recipient: {
+        type: String,
+      },
+      priority: {
+        type: String,
+        enum: ["low", "medium", "high"],
+        default: "medium",
+      },
+      metadata: {
+        type: Map,
+        of: mongoose.Schema.Types.Mixed,
+        default: {},
+      },
+    },
+    status: {
+      type: String,
+      enum: ["active", "paused"],
+      default: "active",
+    },
+    repeatJobKey: {
+      type: String, // Bull repeatable job key
+    },
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    lastRunAt: {
+      type: Date,
+    },
+    nextRunAt: {
+      type: Date,
+    },
+    lastNotificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+recurringScheduleSchema.index({ userId: 1, status: 1 });
+
+// Next firing time of the cron expression in the schedule's timezone
+recurringScheduleSchema.methods.getNextRun = function (from = new Date()) {
+  return cronParser
+    .parseExpression(this.cron, {
+      currentDate: from,
+      tz: this.timezone,
+    })
+    .next()
+    .toDate();
+};
+
+// Build the Notification for one firing of this schedule
+recurringScheduleSchema.methods.buildNotification = function () {
+  const Notification = mongoose.model("Notification");
+  const { subject, message, recipient, priority, metadata } = this.payload;
+
+  return new Notification({
+    userId: this.userId,
+    type: this.type,
+    subject,
+    message,
+    recipient,
+    priority,
+    metadata: {
+      ...Object.fromEntries(metadata || []),
+      recurringScheduleId: this._id.toString(),
+    },
+    status: "pending",
+  });
+};
+
+// Check a cron expression and timezone before storing them
+recurringScheduleSchema.statics.isValidCron = function (cron, timezone) {
+  try {
+    // Unknown timezones only fail once a date is computed
+    cronParser.parseExpression(cron, { tz: timezone }).next();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const RecurringSchedule = mongoose.model(
+  "RecurringSchedule",
+  recurringScheduleSchema
+);
+
+module.exports = RecurringSchedule;
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// Addresses that must not be sent to on a channel, e.g. a phone number
+// that replied STOP or a mailbox that hard bounced
+const suppressionSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ["sms", "email"],
+      required: true,
+    },
+    address: {
+      type: String, // E.164 phone number or lower-cased email address
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ["opt-out", "manual", "bounce", "complaint", "unsubscribe"],
+      required: true,
+    },
+    // Where the suppression came from, e.g. "twilio-inbound" or "smtp"
+    source: {
+      type: String,
+    },
+    userId: {
+      type: String,
+      index: true,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+suppressionSchema.index({ channel: 1, address: 1 }, { unique: true });
+suppressionSchema.index({ channel: 1, reason: 1, updatedAt: -1 });
+
+// Email addresses are compared case-insensitively
+suppressionSchema.statics.normalizeAddress = function (channel, address) {
+  const trimmed = String(address || "").trim();
+  return channel === "email" ? trimmed.toLowerCase() : trimmed;
+};
+
+suppressionSchema.statics.isSuppressed = function (channel, address) {
+  return this.exists({
+    channel,
+    address: this.normalizeAddress(channel, address),
+  });
+};
+
+// Add or refresh a suppression
+suppressionSchema.statics.suppress = function (channel, address, fields) {
+  const normalized = this.normalizeAddress(channel, address);
+  return this.findOneAndUpdate(
+    { channel, address: normalized },
+    { ...fields, channel, address: normalized },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+suppressionSchema.statics.lift = function (channel, address) {
+  return this.deleteOne({
+    channel,
+    address: this.normalizeAddress(channel, address),
+  });
+};
+
+const Suppression = mongoose.model("Suppression", suppressionSchema);
+
+module.exports = Suppression;
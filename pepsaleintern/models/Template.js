@@ -0,0 +1,175 @@
+const mongoose = require("mongoose");
+
+// Per-channel bodies; every field is a Handlebars template
+const channelsSchema = new mongoose.Schema(
+  {
+    email: {
+      subject: String,
+      html: String,
+      text: String,
+    },
+    sms: {
+      text: String,
+    },
+    inApp: {
+      title: String,
+      message: String,
+    },
+  },
+  { _id: false }
+);
+
+const variableSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    defaultValue: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    description: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+// Channel bodies for one locale; missing channels fall back along the
+// locale chain
+const localeVariantSchema = new mongoose.Schema(
+  {
+    locale: {
+      type: String,
+      required: true,
+    },
+    channels: channelsSchema,
+  },
+  { _id: false }
+);
+
+// Snapshot of a previous version's renderable content
+const versionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+    },
+    channels: channelsSchema,
+    defaultLocale: String,
+    locales: [localeVariantSchema],
+    content: String,
+    layout: String,
+    variables: [variableSchema],
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const templateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    // "template" is sendable; "partial" and "layout" are only referenced
+    // from other templates by name
+    kind: {
+      type: String,
+      enum: ["template", "partial", "layout"],
+      default: "template",
+    },
+    category: {
+      type: String,
+    },
+    // Bodies in the default locale
+    channels: channelsSchema,
+    defaultLocale: {
+      type: String,
+      default: "en",
+    },
+    locales: [localeVariantSchema],
+    // Body of a partial, or the email HTML of a layout ({{{body}}} marks
+    // where the template's HTML goes)
+    content: {
+      type: String,
+    },
+    // Name of the layout wrapping this template's email HTML
+    layout: {
+      type: String,
+    },
+    variables: [variableSchema],
+    version: {
+      type: Number,
+      default: 1,
+    },
+    versions: [versionSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+templateSchema.index({ kind: 1, name: 1 });
+
+// Store the current content in the history and bump the version
+templateSchema.methods.createVersion = function (changes) {
+  const current = this.toObject();
+  this.versions.push({
+    version: current.version,
+    channels: current.channels,
+    defaultLocale: current.defaultLocale,
+    locales: current.locales,
+    content: current.content,
+    layout: current.layout,
+    variables: current.variables,
+    createdAt: current.updatedAt,
+  });
+
+  [
+    "channels",
+    "defaultLocale",
+    "locales",
+    "content",
+    "layout",
+    "variables",
+  ].forEach((field) => {
+    if (changes[field] !== undefined) this[field] = changes[field];
+  });
+
+  this.version += 1;
+  return this.save();
+};
+
+// Renderable content of a given version (defaults to the current one)
+templateSchema.methods.getVersion = function (version = this.version) {
+  if (version === this.version) {
+    return {
+      version: this.version,
+      channels: this.channels,
+      defaultLocale: this.defaultLocale,
+      locales: this.locales,
+      content: this.content,
+      layout: this.layout,
+      variables: this.variables,
+    };
+  }
+
+  return this.versions.find((entry) => entry.version === version) || null;
+};
+
+const Template = mongoose.model("Template", templateSchema);
+
+module.exports = Template;
@@ -0,0 +1,285 @@
+const mongoose = require("mongoose");
+
+const channelPreferenceSchema = (withAddress) =>
+  new mongoose.Schema(
+    {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      ...(withAddress && {
+        address: {
+          type: String, // Email address or E.164 phone number
+        },
+      }),
+    },
+    { _id: false }
+  );
+
+// Per-category opt-out, optionally narrowed to single channels
+const categoryPreferenceSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // false opts the category out on that channel only
+    channels: {
+      email: Boolean,
+      sms: Boolean,
+      inApp: Boolean,
+    },
+  },
+  { _id: false }
+);
+
+// Categories a notification's metadata.category may take. Preferences and
+// unsubscribe links are keyed by them, so sends are validated against it.
+const CATEGORIES = [
+  "system",
+  "marketing",
+  "update",
+  "reminder",
+  "alert",
+  "social",
+  "general",
+];
+
+const DIGEST_PERIODS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Digest flushes run on a schedule, so a digest is due slightly early rather
+// than a whole flush interval late
+const DIGEST_GRACE = 5 * 60 * 1000;
+
+// Notification types map onto keys of channels
+const CHANNEL_KEYS = {
+  email: "email",
+  sms: "sms",
+  "in-app": "inApp",
+};
+
+const userPreferenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    locale: {
+      type: String, // BCP 47 tag, e.g. "pt-BR"
+    },
+    timezone: {
+      type: String, // IANA time zone, e.g. "America/Sao_Paulo"
+    },
+    channels: {
+      email: {
+        type: channelPreferenceSchema(true),
+        default: () => ({}),
+      },
+      sms: {
+        type: channelPreferenceSchema(true),
+        default: () => ({}),
+      },
+      inApp: {
+        type: channelPreferenceSchema(false),
+        default: () => ({}),
+      },
+    },
+    categories: {
+      type: Map,
+      of: categoryPreferenceSchema,
+      default: {},
+    },
+    // Do-not-disturb window in the user's timezone, e.g. 22:00 to 07:00
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      start: {
+        type: String, // HH:mm
+        default: "22:00",
+      },
+      end: {
+        type: String, // HH:mm
+        default: "07:00",
+      },
+      channels: {
+        type: [String],
+        default: ["email", "sms"],
+      },
+    },
+    // Roll low-priority notifications up into a periodic summary
+    digest: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      frequency: {
+        type: String,
+        enum: Object.keys(DIGEST_PERIODS),
+        default: "daily",
+      },
+      channel: {
+        type: String,
+        enum: ["email", "in-app"],
+        default: "email",
+      },
+      // Only these categories are held (empty holds every category)
+      categories: {
+        type: [String],
+        default: [],
+      },
+      // Send one digest per category instead of a combined one
+      perCategory: {
+        type: Boolean,
+        default: false,
+      },
+      lastSentAt: {
+        type: Date,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Inbound SMS are matched to users by their number
+userPreferenceSchema.index({ "channels.sms.address": 1 });
+
+userPreferenceSchema.methods.isChannelEnabled = function (type) {
+  const channel = this.channels && this.channels[CHANNEL_KEYS[type]];
+  return !channel || channel.enabled !== false;
+};
+
+userPreferenceSchema.methods.getAddress = function (type) {
+  const channel = this.channels && this.channels[CHANNEL_KEYS[type]];
+  return channel ? channel.address : undefined;
+};
+
+// Why a notification must not be sent to this user, or null if it may be
+userPreferenceSchema.methods.getSuppressionReason = function (
+  type,
+  category = "general"
+) {
+  if (!this.isChannelEnabled(type)) {
+    return `User has disabled ${type}`;
+  }
+
+  const categoryPreference = this.categories && this.categories.get(category);
+  if (categoryPreference) {
+    if (categoryPreference.enabled === false) {
+      return `User opted out of ${category}`;
+    }
+
+    const channels = categoryPreference.channels || {};
+    if (channels[CHANNEL_KEYS[type]] === false) {
+      return `User opted out of ${category} on ${type}`;
+    }
+  }
+
+  return null;
+};
+
+// Opt out of one category on one channel, keeping its other settings
+userPreferenceSchema.methods.optOutOfCategory = function (category, type) {
+  const current = this.categories.get(category);
+  const settings = current ? current.toObject() : {};
+
+  this.categories.set(category, {
+    ...settings,
+    channels: { ...settings.channels, [CHANNEL_KEYS[type]]: false },
+  });
+  return this.save();
+};
+
+// End of the current quiet hours window for a channel, or null when the
+// user is not in quiet hours
+userPreferenceSchema.methods.getQuietHoursEnd = function (
+  type,
+  now = new Date()
+) {
+  const { quietHours } = this;
+  if (!quietHours || !quietHours.enabled) return null;
+  if (!quietHours.channels.includes(type)) return null;
+
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+  };
+
+  // Local wall-clock time in the user's timezone
+  const [hours, minutes] = new Intl.DateTimeFormat("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    timeZone: this.timezone || "UTC",
+  })
+    .format(now)
+    .split(":")
+    .map(Number);
+  const current = hours * 60 + minutes;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  // Windows such as 22:00-07:00 wrap past midnight
+  const inWindow =
+    start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  if (!inWindow) return null;
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  const until = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  until.setSeconds(0, 0);
+  return until;
+};
+
+// Whether a notification should wait for the next digest instead of being
+// sent now
+userPreferenceSchema.methods.shouldHoldForDigest = function (notification) {
+  const { digest } = this;
+  if (!digest || !digest.enabled) return false;
+  if (notification.isDigest || notification.priority !== "low") return false;
+
+  return (
+    digest.categories.length === 0 ||
+    digest.categories.includes(notification.getCategory())
+  );
+};
+
+// Whether a full digest period has passed since the last digest
+userPreferenceSchema.methods.isDigestDue = function (now = new Date()) {
+  const { digest } = this;
+  if (!digest.lastSentAt) return true;
+  return (
+    now - digest.lastSentAt >= DIGEST_PERIODS[digest.frequency] - DIGEST_GRACE
+  );
+};
+
+// Check a notification against its user's stored preferences
+userPreferenceSchema.statics.getSuppressionReason = async function (
+  notification
+) {
+  const preference = await this.findOne({ userId: notification.userId });
+  if (!preference) {
+    return null;
+  }
+
+  return preference.getSuppressionReason(
+    notification.type,
+    notification.getCategory()
+  );
+};
+
+const UserPreference = mongoose.model("UserPreference", userPreferenceSchema);
+
+UserPreference.CATEGORIES = CATEGORIES;
+UserPreference.DIGEST_FREQUENCIES = Object.keys(DIGEST_PERIODS);
+
+module.exports = UserPreference;
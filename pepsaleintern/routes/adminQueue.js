@@ -0,0 +1,357 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const Notification = require("../models/Notification");
+const {
+  getQueue,
+  getQueueStatus,
+  pauseQueue,
+  resumeQueue,
+  cleanQueue,
+  getJobs,
+  getJobDetails,
+  retryFailedJob,
+  removeJob,
+  promoteJob,
+} = require("../services/queueService");
+const { requireAdmin } = require("../middleware/auth");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const JOB_STATES = ["waiting", "active", "completed", "failed", "delayed"];
+
+router.use(requireAdmin);
+
+// Queue given in the path must exist (see config/queues)
+router.param("queue", (req, res, next, name) => {
+  if (!getQueue(name)) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: `Queue not found: ${name}`,
+      },
+    });
+  }
+  next();
+});
+
+// Optional queue name in the body; every queue when it is left out
+const validateQueueName = body("queue")
+  .optional()
+  .custom((value) => !!getQueue(value))
+  .withMessage("Unknown queue");
+
+// GET /admin/queue - Status of every queue
+router.get("/", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getQueueStatus(),
+    });
+  } catch (error) {
+    logger.error("Error fetching queue status:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to fetch queue status",
+      },
+    });
+  }
+});
+
+// POST /admin/queue/pause and /resume - Pause or resume one queue or all
+["pause", "resume"].forEach((action) => {
+  router.post(`/${action}`, [validateQueueName], async (req, res) => {
+    try {
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { queue } = req.body;
+      await (action === "pause" ? pauseQueue : resumeQueue)(queue);
+
+      res.json({
+        success: true,
+        data: {
+          message: `Queue ${action}d successfully`,
+          queue: queue || "all",
+        },
+      });
+    } catch (error) {
+      logger.error(`Error trying to ${action} queue:`, error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: `Failed to ${action} queue`,
+        },
+      });
+    }
+  });
+});
+
+// POST /admin/queue/clean - Remove completed and failed jobs older than the
+// grace period (ms)
+router.post(
+  "/clean",
+  [
+    validateQueueName,
+    body("grace")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Grace period must be a non-negative number of ms"),
+  ],
+  async (req, res) => {
+    try {
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { queue, grace = 24 * 60 * 60 * 1000 } = req.body;
+      await cleanQueue(parseInt(grace), queue);
+
+      res.json({
+        success: true,
+        data: {
+          message: "Queue cleaned successfully",
+          queue: queue || "all",
+          grace: parseInt(grace),
+        },
+      });
+    } catch (error) {
+      logger.error("Error cleaning queue:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: "Failed to clean queue",
+        },
+      });
+    }
+  }
+);
+
+// GET /admin/queue/:queue/jobs - List jobs in one state
+router.get(
+  "/:queue/jobs",
+  [
+    query("state")
+      .optional()
+      .isIn(JOB_STATES)
+      .withMessage(`State must be one of: ${JOB_STATES.join(", ")}`),
+    query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { state = "waiting" } = req.query;
+      const page = parseInt(req.query.page || 1);
+      const limit = parseInt(req.query.limit || 20);
+
+      const start = (page - 1) * limit;
+      const { jobs, total } = await getJobs(
+        req.params.queue,
+        state,
+        start,
+        start + limit - 1
+      );
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: {
+          queue: req.params.queue,
+          state,
+          jobs: jobs.map((job) => ({
+            id: job.id,
+            name: job.name,
+            data: job.data,
+            attemptsMade: job.attemptsMade,
+            failedReason: job.failedReason,
+            timestamp: job.timestamp,
+            delay: job.opts.delay,
+          })),
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems: total,
+            hasNext: page < totalPages,
+            hasPrev: page > 1,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Error listing jobs:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: "Failed to list jobs",
+        },
+      });
+    }
+  }
+);
+
+// GET /admin/queue/:queue/jobs/:jobId - A job's data, state and logs
+router.get("/:queue/jobs/:jobId", async (req, res) => {
+  try {
+    const job = await getJobDetails(req.params.queue, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Job not found",
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    logger.error("Error fetching job:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to fetch job",
+      },
+    });
+  }
+});
+
+// Single-job actions: each answers 409 when the job is not in a state the
+// action applies to
+const jobActions = {
+  retry: {
+    run: retryFailedJob,
+    done: "Job retried successfully",
+    conflict: "Only failed jobs can be retried",
+  },
+  promote: {
+    run: promoteJob,
+    done: "Job promoted successfully",
+    conflict: "Only delayed jobs can be promoted",
+  },
+};
+
+// POST /admin/queue/:queue/jobs/:jobId/(retry|promote)
+Object.entries(jobActions).forEach(([action, { run, done, conflict }]) => {
+  router.post(`/:queue/jobs/:jobId/${action}`, async (req, res) => {
+    try {
+      const { queue, jobId } = req.params;
+
+      if (!(await run(jobId, queue))) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: conflict,
+          },
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          message: done,
+          queue,
+          jobId,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error trying to ${action} job:`, error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: `Failed to ${action} job`,
+        },
+      });
+    }
+  });
+});
+
+// DELETE /admin/queue/:queue/jobs/:jobId - Remove a job that is not running
+router.delete("/:queue/jobs/:jobId", async (req, res) => {
+  try {
+    const { queue, jobId } = req.params;
+
+    const result = await removeJob(jobId, queue);
+    if (result === "missing") {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Job not found",
+        },
+      });
+    }
+
+    if (result === "locked") {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: "Active and completed jobs cannot be removed",
+        },
+      });
+    }
+
+    // The notification will not be sent now. Sends queued before the
+    // per-channel split have no queue name.
+    const notification = await Notification.findOne({
+      jobId,
+      queueName: queue === "system" ? null : queue,
+      status: { $in: ["pending", "queued", "scheduled"] },
+    });
+    if (notification) {
+      await notification.markAsCancelled();
+      logger.info(`Notification cancelled with its job: ${notification._id}`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: "Job removed successfully",
+        queue,
+        jobId,
+      },
+    });
+  } catch (error) {
+    logger.error("Error removing job:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to remove job",
+      },
+    });
+  }
+});
+
+module.exports = router;
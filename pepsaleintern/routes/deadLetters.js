@@ -0,0 +1,338 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const DeadLetter = require("../models/DeadLetter");
+const UserPreference = require("../models/UserPreference");
+const deadLetterService = require("../services/deadLetterService");
+const { requireAdmin } = require("../middleware/auth");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Filters shared by listing, bulk replay and purge
+const validateFilter = (location) => [
+  location("status")
+    .optional()
+    .isIn(["dead", "replayed"])
+    .withMessage("Status must be dead or replayed"),
+  location("type")
+    .optional()
+    .isIn(["email", "sms", "in-app"])
+    .withMessage("Type must be email, sms, or in-app"),
+  location(["userId", "category"])
+    .optional()
+    .isString()
+    .withMessage("userId and category must be strings"),
+  location(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("from and to must be ISO 8601 dates"),
+];
+
+const validateSelection = [
+  ...validateFilter(body),
+  body("ids").optional().isArray().withMessage("IDs must be an array"),
+  body("ids.*").isMongoId().withMessage("Each ID must be valid"),
+  body("all")
+    .optional()
+    .isBoolean()
+    .withMessage("all must be a boolean")
+    .toBoolean(),
+  body().custom((value) => {
+    const { ids, all, status, type, userId, category, from, to } = value;
+    const filtered = [status, type, userId, category, from, to].some(Boolean);
+    // Only an explicit all: true selects every entry
+    if (!(ids && ids.length) && all !== true && !filtered) {
+      throw new Error("Provide ids, a filter, or all: true");
+    }
+    return true;
+  }),
+];
+
+// Entries selected by explicit IDs or by a filter
+const selectFilter = ({ ids, ...filter }) =>
+  ids && ids.length > 0
+    ? { _id: { $in: ids } }
+    : deadLetterService.buildFilter(filter);
+
+// GET /admin/dead-letters - List dead-lettered notifications
+router.get("/", validateFilter(query), async (req, res) => {
+  try {
+    // Check validation results
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Validation failed",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const filter = deadLetterService.buildFilter(req.query);
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+    const totalItems = await DeadLetter.countDocuments(filter);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    const entries = await DeadLetter.find(filter)
+      .select("-payload")
+      .sort({ failedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalItems,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Error fetching dead letters:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to fetch dead letters",
+      },
+    });
+  }
+});
+
+// POST /admin/dead-letters/replay - Replay many entries as they are
+router.post("/replay", validateSelection, async (req, res) => {
+  try {
+    // Check validation results
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Validation failed",
+          details: errors.array(),
+        },
+      });
+    }
+
+    // Filters replay entries not yet replayed unless a status is given
+    const filter = selectFilter(req.body);
+    if (!req.body.ids && !filter.status) filter.status = "dead";
+
+    const entries = await DeadLetter.find(filter);
+    const results = await deadLetterService.replayMany(entries);
+    const replayed = results.filter((result) => result.replayed).length;
+
+    logger.info(`Dead letters replayed: ${replayed}/${results.length}`);
+
+    res.json({
+      success: true,
+      data: {
+        replayed,
+        failed: results.length - replayed,
+        results,
+      },
+    });
+  } catch (error) {
+    logger.error("Error replaying dead letters:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to replay dead letters",
+      },
+    });
+  }
+});
+
+// DELETE /admin/dead-letters - Purge entries by IDs or filter
+router.delete("/", validateSelection, async (req, res) => {
+  try {
+    // Check validation results
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Validation failed",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const result = await DeadLetter.deleteMany(selectFilter(req.body));
+
+    logger.info(`Dead letters purged: ${result.deletedCount}`);
+
+    res.json({
+      success: true,
+      data: {
+        deletedCount: result.deletedCount,
+      },
+    });
+  } catch (error) {
+    logger.error("Error purging dead letters:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to purge dead letters",
+      },
+    });
+  }
+});
+
+// GET /admin/dead-letters/:id - Full details of an entry
+router.get("/:id", async (req, res) => {
+  try {
+    const entry = await DeadLetter.findById(req.params.id).populate(
+      "notificationId"
+    );
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Dead letter not found",
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    logger.error("Error fetching dead letter:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to fetch dead letter",
+      },
+    });
+  }
+});
+
+// POST /admin/dead-letters/:id/replay - Replay one entry, optionally after
+// editing its recipient or payload
+router.post(
+  "/:id/replay",
+  [
+    body("recipient")
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage("Recipient must be a non-empty string"),
+    body(["subject", "message"])
+      .optional()
+      .isString()
+      .withMessage("Subject and message must be strings"),
+    body(["variables", "metadata"])
+      .optional()
+      .isObject()
+      .withMessage("Variables and metadata must be objects"),
+    body("metadata.category")
+      .optional()
+      .isIn(UserPreference.CATEGORIES)
+      .withMessage(
+        `Category must be one of: ${UserPreference.CATEGORIES.join(", ")}`
+      ),
+  ],
+  async (req, res) => {
+    try {
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const entry = await DeadLetter.findById(req.params.id);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: "Dead letter not found",
+          },
+        });
+      }
+
+      let replayed;
+      try {
+        replayed = await deadLetterService.replay(entry, req.body);
+      } catch (replayError) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: replayError.message,
+          },
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          deadLetterId: entry._id,
+          notificationId: replayed.notification._id,
+          status: replayed.notification.status,
+          jobId: replayed.job.id,
+        },
+      });
+    } catch (error) {
+      logger.error("Error replaying dead letter:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: "Failed to replay dead letter",
+          details:
+            process.env.NODE_ENV === "development" ? error.message : undefined,
+        },
+      });
+    }
+  }
+);
+
+// DELETE /admin/dead-letters/:id - Purge one entry
+router.delete("/:id", async (req, res) => {
+  try {
+    const entry = await DeadLetter.findByIdAndDelete(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Dead letter not found",
+        },
+      });
+    }
+
+    logger.info(`Dead letter purged: ${entry._id}`);
+
+    res.json({
+      success: true,
+      data: {
+        message: "Dead letter purged successfully",
+      },
+    });
+  } catch (error) {
+    logger.error("Error purging dead letter:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to purge dead letter",
+      },
+    });
+  }
+});
+
+module.exports = router;
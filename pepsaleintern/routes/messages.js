@@ -0,0 +1,42 @@
+const express = require("express");
+const Message = require("../models/Message");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// GET /messages/:id - Get a fan-out message with its delivery state
+router.get("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const message = await Message.findById(id);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Message not found",
+        },
+      });
+    }
+
+    const delivery = await message.getDeliveryState();
+
+    res.json({
+      success: true,
+      data: {
+        message,
+        delivery,
+      },
+    });
+  } catch (error) {
+    logger.error("Error fetching message:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to fetch message",
+      },
+    });
+  }
+});
+
+module.exports = router;
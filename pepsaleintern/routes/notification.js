@@ -1,20 +1,122 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
 const Notification = require("../models/Notification");
-const { addToQueue } = require("../services/queueService");
+const UserPreference = require("../models/UserPreference");
+const { addToQueue, removeJob } = require("../services/queueService");
+const notificationService = require("../services/notificationService");
+const localeService = require("../services/localeService");
+const trackingService = require("../services/trackingService");
+const idempotency = require("../middleware/idempotency");
 const logger = require("../utils/logger");
 
 const router = express.Router();
 
+// Validation for an absolute sendAt time or a relative delay (ms)
+const validateSchedule = ({ required = false } = {}) => [
+  body("sendAt")
+    .optional()
+    .isISO8601()
+    .withMessage("sendAt must be an ISO 8601 date")
+    .custom((value) => new Date(value).getTime() > Date.now())
+    .withMessage("sendAt must be in the future"),
+  body("delay")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Delay must be a positive number of milliseconds"),
+  body().custom((value) => {
+    if (value.sendAt && value.delay) {
+      throw new Error("Provide either sendAt or delay, not both");
+    }
+    if (required && !value.sendAt && !value.delay) {
+      throw new Error("Either sendAt or delay is required");
+    }
+    return true;
+  }),
+];
+
+// Resolve sendAt/delay into the time the notification should be sent
+const resolveSendAt = ({ sendAt, delay }) => {
+  if (sendAt) return new Date(sendAt);
+  if (delay) return new Date(Date.now() + parseInt(delay));
+  return undefined;
+};
+
+// Whether a send request includes email, directly, through fan-out or as a
+// fallback channel
+const includesEmail = (value, { req }) => {
+  const { type, channels, fallbackChannels = [] } = req.body;
+  if (channels) {
+    return channels === "all" || [].concat(channels).includes("email");
+  }
+  return type === "email" || [].concat(fallbackChannels).includes("email");
+};
+
 // Validation middleware for notification creation
 const validateNotification = [
   body("userId").notEmpty().withMessage("User ID is required"),
   body("type")
+    .if(body("channels").not().exists())
     .isIn(["email", "sms", "in-app"])
     .withMessage("Type must be email, sms, or in-app"),
-  body("message").notEmpty().withMessage("Message is required"),
+  body("channels")
+    .optional()
+    .custom(
+      (value) =>
+        value === "all" ||
+        (Array.isArray(value) &&
+          value.length > 0 &&
+          value.every((type) => ["email", "sms", "in-app"].includes(type)))
+    )
+    .withMessage('Channels must be "all" or a list of email, sms, in-app')
+    .custom((value, { req }) => !req.body.type)
+    .withMessage("Provide either type or channels, not both"),
+  body("recipients")
+    .optional()
+    .isObject()
+    .withMessage("Recipients must be an object keyed by channel"),
+  body("fallbackChannels")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Fallback channels must be a non-empty array")
+    .custom((value, { req }) =>
+      value.every(
+        (type) =>
+          ["email", "sms", "in-app"].includes(type) && type !== req.body.type
+      )
+    )
+    .withMessage("Fallback channels must be other channels than type")
+    .custom((value, { req }) => !req.body.channels)
+    .withMessage("Fallback channels cannot be combined with channels"),
+  body("bypassQuietHours")
+    .optional()
+    .isBoolean()
+    .withMessage("bypassQuietHours must be a boolean"),
+  body(["dedupeKey", "collapseKey"])
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage(
+      "Dedupe and collapse keys must be strings of 1-255 characters"
+    ),
+  body("dedupeWindow")
+    .optional()
+    .isInt({ min: 1000 })
+    .withMessage("Dedupe window must be at least 1000 milliseconds"),
+  body("fallbackTimeout")
+    .optional()
+    .isInt({ min: 1000 })
+    .withMessage("Fallback timeout must be at least 1000 milliseconds")
+    .custom((value, { req }) => Notification.canConfirmDelivery(req.body.type))
+    .withMessage(
+      "Fallback timeout needs a channel that confirms delivery (in-app, or sms with status callbacks)"
+    ),
+  body("message")
+    .if(body("templateId").not().exists())
+    .notEmpty()
+    .withMessage("Message is required"),
   body("subject")
-    .if(body("type").equals("email"))
+    .if(includesEmail)
+    .if(body("templateId").not().exists())
     .notEmpty()
     .withMessage("Subject is required for email notifications"),
   body("recipient")
@@ -29,10 +131,36 @@ const validateNotification = [
     .optional()
     .isObject()
     .withMessage("Metadata must be an object"),
+  body("metadata.category")
+    .optional()
+    .isIn(UserPreference.CATEGORIES)
+    .withMessage(
+      `Category must be one of: ${UserPreference.CATEGORIES.join(", ")}`
+    ),
+  body("templateId")
+    .optional()
+    .isMongoId()
+    .withMessage("Template ID must be valid"),
+  body("variables")
+    .optional()
+    .isObject()
+    .withMessage("Variables must be an object"),
+  body("locale")
+    .optional()
+    .custom((value) => !!localeService.normalize(value))
+    .withMessage("Locale must be a valid BCP 47 tag"),
+  body("timezone")
+    .optional()
+    .custom((value) => localeService.isValidTimezone(value))
+    .withMessage("Invalid timezone"),
+  ...validateSchedule(),
 ];
 
+// Retries carrying the same Idempotency-Key get the original response
+const idempotentCreate = idempotency("POST /notifications");
+
 // POST /notifications - Send a notification
-router.post("/", validateNotification, async (req, res) => {
+router.post("/", validateNotification, idempotentCreate, async (req, res) => {
   try {
     // Check validation results
     const errors = validationResult(req);
@@ -54,44 +182,125 @@ router.post("/", validateNotification, async (req, res) => {
       recipient,
       priority = "medium",
       metadata = {},
+      templateId,
+      variables = {},
+      locale,
+      timezone,
+      channels,
+      recipients = {},
+      fallbackChannels,
+      fallbackTimeout,
+      bypassQuietHours = false,
+      dedupeKey,
+      collapseKey,
+      dedupeWindow,
     } = req.body;
 
-    // Create notification in database
-    const notification = new Notification({
+    const data = {
       userId,
-      type,
       subject,
       message,
-      recipient,
       priority,
       metadata,
-      status: "pending",
-    });
+      variables,
+      locale: locale && localeService.normalize(locale),
+      timezone,
+      bypassQuietHours,
+      dedupeKey,
+      collapseKey,
+      dedupeWindow: dedupeWindow && parseInt(dedupeWindow),
+      scheduledAt: resolveSendAt(req.body),
+    };
+
+    // Fan-out requests resolve their channels from the request and the
+    // user's preferences
+    let targets = [{ type, recipient }];
+    if (channels) {
+      const resolved = await notificationService.resolveChannels(
+        userId,
+        channels,
+        recipients
+      );
 
-    await notification.save();
+      if (resolved.problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Cannot send to the requested channels",
+            details: resolved.problems,
+          },
+        });
+      }
+      targets = resolved.targets;
+    }
 
-    // Add to queue for processing
-    const job = await addToQueue(notification, priority);
+    // Templates are rendered by the worker; check they can be rendered now
+    let template = null;
+    if (templateId) {
+      const prepared = await notificationService.prepareTemplate(
+        templateId,
+        [...targets.map((target) => target.type), ...(fallbackChannels || [])],
+        variables
+      );
+      template = prepared.template;
+      const { problems } = prepared;
 
-    // Update notification with job ID
-    notification.jobId = job.id;
-    notification.status = "queued";
-    await notification.save();
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Invalid template",
+            details: problems,
+          },
+        });
+      }
+    }
 
-    logger.info(`Notification created and queued: ${notification._id}`, {
-      userId,
-      type,
-      priority,
-      jobId: job.id,
-    });
+    if (channels) {
+      const { message: parent, results } =
+        await notificationService.createMessage(
+          { ...data, channels },
+          targets,
+          template
+        );
+
+      return res.status(201).json({
+        success: true,
+        data: {
+          messageId: parent._id,
+          message: `Notification created on ${results.length} channel(s)`,
+          notifications: results.map(({ notification, job }) => ({
+            notificationId: notification._id,
+            type: notification.type,
+            status: notification.status,
+            jobId: job ? job.id : undefined,
+            suppressionReason: notification.suppressionReason,
+          })),
+          scheduledAt: data.scheduledAt,
+        },
+      });
+    }
+
+    const fallback = fallbackChannels && {
+      channels: fallbackChannels,
+      timeout: fallbackTimeout && parseInt(fallbackTimeout),
+      recipients,
+    };
+
+    const { notification, job } = await notificationService.createNotification(
+      { ...data, type, recipient, fallback },
+      template
+    );
 
     res.status(201).json({
       success: true,
       data: {
         notificationId: notification._id,
         status: notification.status,
-        message: "Notification queued successfully",
-        jobId: job.id,
+        message: `Notification ${notification.status} successfully`,
+        jobId: job ? job.id : undefined,
+        scheduledAt: notification.scheduledAt,
+        suppressionReason: notification.suppressionReason,
       },
     });
   } catch (error) {
@@ -107,6 +316,73 @@ router.post("/", validateNotification, async (req, res) => {
   }
 });
 
+// GET /notifications/engagement - Email open/click rates by template,
+// category or day
+router.get(
+  "/engagement",
+  [
+    query("groupBy")
+      .optional()
+      .isIn(["template", "category", "day"])
+      .withMessage("groupBy must be template, category, or day"),
+    query(["from", "to"])
+      .optional()
+      .isISO8601()
+      .withMessage("from and to must be ISO 8601 dates"),
+    query("templateId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid template ID"),
+    query("category")
+      .optional()
+      .isString()
+      .withMessage("Category must be a string"),
+    query("timezone")
+      .optional()
+      .custom((value) => localeService.isValidTimezone(value))
+      .withMessage("Invalid timezone"),
+  ],
+  async (req, res) => {
+    try {
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { groupBy, from, to, templateId, category, timezone } = req.query;
+
+      const stats = await trackingService.getStats({
+        groupBy,
+        from,
+        to,
+        templateId,
+        category,
+        timezone,
+      });
+
+      res.json({
+        success: true,
+        data: stats,
+      });
+    } catch (error) {
+      logger.error("Error fetching email engagement:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: "Failed to fetch email engagement",
+        },
+      });
+    }
+  }
+);
+
 // GET /notifications/:id - Get specific notification
 router.get("/:id", async (req, res) => {
   try {
@@ -184,6 +460,150 @@ router.get("/", async (req, res) => {
   }
 });
 
+// PATCH /notifications/:id/schedule - Reschedule a scheduled notification
+router.patch(
+  "/:id/schedule",
+  validateSchedule({ required: true }),
+  async (req, res) => {
+    try {
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { id } = req.params;
+
+      const notification = await Notification.findById(id);
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: "Notification not found",
+          },
+        });
+      }
+
+      if (notification.status !== "scheduled") {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: `Cannot reschedule a notification with status "${notification.status}"`,
+          },
+        });
+      }
+
+      // Replace the delayed job; refuse if it has already started
+      if (
+        notification.jobId &&
+        (await removeJob(notification.jobId, notification.queueName)) ===
+          "locked"
+      ) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: "Notification is already being sent",
+          },
+        });
+      }
+
+      notification.scheduledAt = resolveSendAt(req.body);
+      const job = await addToQueue(notification, notification.priority);
+      notification.jobId = job.id;
+      await notification.save();
+
+      logger.info(`Notification rescheduled: ${id}`, {
+        jobId: job.id,
+        scheduledAt: notification.scheduledAt,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          notificationId: notification._id,
+          status: notification.status,
+          message: "Notification rescheduled successfully",
+          jobId: job.id,
+          scheduledAt: notification.scheduledAt,
+        },
+      });
+    } catch (error) {
+      logger.error("Error rescheduling notification:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: "Failed to reschedule notification",
+        },
+      });
+    }
+  }
+);
+
+// POST /notifications/:id/cancel - Cancel a scheduled notification
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const notification = await Notification.findById(id);
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Notification not found",
+        },
+      });
+    }
+
+    if (notification.status !== "scheduled") {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Cannot cancel a notification with status "${notification.status}"`,
+        },
+      });
+    }
+
+    if (
+      notification.jobId &&
+      (await removeJob(notification.jobId, notification.queueName)) === "locked"
+    ) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: "Notification is already being sent",
+        },
+      });
+    }
+
+    await notification.markAsCancelled();
+
+    logger.info(`Scheduled notification cancelled: ${id}`);
+
+    res.json({
+      success: true,
+      data: {
+        notificationId: notification._id,
+        status: notification.status,
+        message: "Notification cancelled successfully",
+      },
+    });
+  } catch (error) {
+    logger.error("Error cancelling notification:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to cancel notification",
+      },
+    });
+  }
+});
+
 // DELETE /notifications/:id - Delete a notification (admin only)
 router.delete("/:id", async (req, res) => {
   try {
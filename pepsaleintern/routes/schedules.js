@@ -0,0 +1,436 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const RecurringSchedule = require("../models/RecurringSchedule");
+const UserPreference = require("../models/UserPreference");
+const {
+  addRecurringJob,
+  removeRecurringJob,
+} = require("../services/queueService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// Validation middleware for schedule creation and updates
+const validateSchedule = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field("name").notEmpty().withMessage("Name is required"),
+    field("userId").notEmpty().withMessage("User ID is required"),
+    field("type")
+      .isIn(["email", "sms", "in-app"])
+      .withMessage("Type must be email, sms, or in-app"),
+    field("cron").notEmpty().withMessage("Cron expression is required"),
+    body("timezone")
+      .optional()
+      .isString()
+      .withMessage("Timezone must be a string"),
+    body().custom((value) => {
+      if (
+        value.cron &&
+        !RecurringSchedule.isValidCron(value.cron, value.timezone || "UTC")
+      ) {
+        throw new Error("Invalid cron expression or timezone");
+      }
+      return true;
+    }),
+    field("payload").isObject().withMessage("Payload must be an object"),
+    field("payload.message")
+      .notEmpty()
+      .withMessage("Payload message is required"),
+    body("payload.priority")
+      .optional()
+      .isIn(["low", "medium", "high"])
+      .withMessage("Priority must be low, medium, or high"),
+    body("payload.metadata")
+      .optional()
+      .isObject()
+      .withMessage("Metadata must be an object"),
+    body("payload.metadata.category")
+      .optional()
+      .isIn(UserPreference.CATEGORIES)
+      .withMessage(
+        `Category must be one of: ${UserPreference.CATEGORIES.join(", ")}`
+      ),
+  ];
+};
+
+// Channel requirements the payload must meet, checked on create and on the
+// merged schedule after an update. Returns the problem, or null.
+const getPayloadProblem = ({ type, payload = {} }) => {
+  if (type === "email" && !payload.subject) {
+    return "Subject is required for email notifications";
+  }
+  if (type !== "in-app" && !payload.recipient) {
+    return "Recipient is required for email and SMS notifications";
+  }
+  return null;
+};
+
+// Register the repeatable job and record the next run
+const activateSchedule = async (schedule) => {
+  schedule.repeatJobKey = await addRecurringJob(schedule);
+  schedule.status = "active";
+  schedule.nextRunAt = schedule.getNextRun();
+  return schedule.save();
+};
+
+// Remove the repeatable job so the schedule stops firing
+const deactivateSchedule = async (schedule) => {
+  if (schedule.repeatJobKey) {
+    await removeRecurringJob(schedule.repeatJobKey);
+  }
+  schedule.repeatJobKey = undefined;
+  schedule.status = "paused";
+  schedule.nextRunAt = undefined;
+  return schedule.save();
+};
+
+const findSchedule = async (req, res) => {
+  const schedule = await RecurringSchedule.findById(req.params.id);
+  if (!schedule) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: "Recurring schedule not found",
+      },
+    });
+  }
+  return schedule;
+};
+
+// POST /schedules - Create a recurring schedule
+router.post("/", validateSchedule(), async (req, res) => {
+  try {
+    // Check validation results
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Validation failed",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { name, userId, type, cron, timezone = "UTC", payload } = req.body;
+
+    const payloadProblem = getPayloadProblem({ type, payload });
+    if (payloadProblem) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: payloadProblem,
+        },
+      });
+    }
+
+    const schedule = new RecurringSchedule({
+      name,
+      userId,
+      type,
+      cron,
+      timezone,
+      payload,
+    });
+
+    await schedule.save();
+    await activateSchedule(schedule);
+
+    logger.info(`Recurring schedule created: ${schedule._id}`, {
+      userId,
+      type,
+      cron,
+      timezone,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    logger.error("Error creating recurring schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to create recurring schedule",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      },
+    });
+  }
+});
+
+// GET /schedules - List recurring schedules
+router.get(
+  "/",
+  [
+    query("status")
+      .optional()
+      .isIn(["active", "paused"])
+      .withMessage("Invalid status"),
+  ],
+  async (req, res) => {
+    try {
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { page = 1, limit = 10, status, userId, type } = req.query;
+
+      // Build filter query
+      const filter = {};
+      if (status) filter.status = status;
+      if (userId) filter.userId = userId;
+      if (type) filter.type = type;
+
+      // Calculate pagination
+      const skip = (page - 1) * limit;
+      const totalItems = await RecurringSchedule.countDocuments(filter);
+      const totalPages = Math.ceil(totalItems / limit);
+
+      const schedules = await RecurringSchedule.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          schedules,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalItems,
+            hasNext: page < totalPages,
+            hasPrev: page > 1,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Error fetching recurring schedules:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: "Failed to fetch recurring schedules",
+        },
+      });
+    }
+  }
+);
+
+// GET /schedules/:id - Get a recurring schedule
+router.get("/:id", async (req, res) => {
+  try {
+    const schedule = await findSchedule(req, res);
+    if (!schedule) return;
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    logger.error("Error fetching recurring schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to fetch recurring schedule",
+      },
+    });
+  }
+});
+
+// PUT /schedules/:id - Update a recurring schedule
+router.put("/:id", validateSchedule(true), async (req, res) => {
+  try {
+    // Check validation results
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Validation failed",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const schedule = await findSchedule(req, res);
+    if (!schedule) return;
+
+    const { name, userId, type, cron, timezone, payload } = req.body;
+    const timingChanged =
+      (cron && cron !== schedule.cron) ||
+      (timezone && timezone !== schedule.timezone);
+
+    if (
+      timezone &&
+      !cron &&
+      !RecurringSchedule.isValidCron(schedule.cron, timezone)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid timezone",
+        },
+      });
+    }
+
+    if (name) schedule.name = name;
+    if (userId) schedule.userId = userId;
+    if (type) schedule.type = type;
+    if (cron) schedule.cron = cron;
+    if (timezone) schedule.timezone = timezone;
+
+    // Partial payload updates keep the fields they leave out
+    if (payload) {
+      schedule.payload = { ...schedule.payload.toObject(), ...payload };
+    }
+
+    const payloadProblem = getPayloadProblem(schedule);
+    if (payloadProblem) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: payloadProblem,
+        },
+      });
+    }
+
+    await schedule.save();
+
+    // The repeatable job is keyed by cron/timezone, so it is replaced once
+    // the new timing is stored; the old job keeps firing until then
+    if (timingChanged && schedule.status === "active") {
+      const previousJobKey = schedule.repeatJobKey;
+      await activateSchedule(schedule);
+      if (previousJobKey) await removeRecurringJob(previousJobKey);
+    }
+
+    logger.info(`Recurring schedule updated: ${schedule._id}`);
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    logger.error("Error updating recurring schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to update recurring schedule",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      },
+    });
+  }
+});
+
+// POST /schedules/:id/pause - Stop a schedule from firing
+router.post("/:id/pause", async (req, res) => {
+  try {
+    const schedule = await findSchedule(req, res);
+    if (!schedule) return;
+
+    if (schedule.status === "paused") {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: "Recurring schedule is already paused",
+        },
+      });
+    }
+
+    await deactivateSchedule(schedule);
+
+    logger.info(`Recurring schedule paused: ${schedule._id}`);
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    logger.error("Error pausing recurring schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to pause recurring schedule",
+      },
+    });
+  }
+});
+
+// POST /schedules/:id/resume - Resume a paused schedule
+router.post("/:id/resume", async (req, res) => {
+  try {
+    const schedule = await findSchedule(req, res);
+    if (!schedule) return;
+
+    if (schedule.status === "active") {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: "Recurring schedule is already active",
+        },
+      });
+    }
+
+    await activateSchedule(schedule);
+
+    logger.info(`Recurring schedule resumed: ${schedule._id}`);
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    logger.error("Error resuming recurring schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to resume recurring schedule",
+      },
+    });
+  }
+});
+
+// DELETE /schedules/:id - Delete a recurring schedule
+router.delete("/:id", async (req, res) => {
+  try {
+    const schedule = await findSchedule(req, res);
+    if (!schedule) return;
+
+    if (schedule.repeatJobKey) {
+      await removeRecurringJob(schedule.repeatJobKey);
+    }
+    await schedule.deleteOne();
+
+    logger.info(`Recurring schedule deleted: ${schedule._id}`);
+
+    res.json({
+      success: true,
+      data: {
+        message: "Recurring schedule deleted successfully",
+      },
+    });
+  } catch (error) {
+    logger.error("Error deleting recurring schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to delete recurring schedule",
+      },
+    });
+  }
+});
+
+module.exports = router;
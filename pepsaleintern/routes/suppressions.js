@@ -0,0 +1,155 @@
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const Suppression = require("../models/Suppression");
+const { requireAdmin } = require("../middleware/auth");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// GET /admin/suppressions - List suppressed addresses
+router.get(
+  "/",
+  [
+    query("channel")
+      .optional()
+      .isIn(["email", "sms"])
+      .withMessage("Channel must be email or sms"),
+    query("reason")
+      .optional()
+      .isIn(["opt-out", "manual", "bounce", "complaint", "unsubscribe"])
+      .withMessage("Invalid reason"),
+  ],
+  async (req, res) => {
+    try {
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const {
+        page = 1,
+        limit = 20,
+        channel,
+        reason,
+        address,
+        userId,
+      } = req.query;
+
+      // Build filter query
+      const filter = {};
+      if (channel) filter.channel = channel;
+      if (reason) filter.reason = reason;
+      if (userId) filter.userId = userId;
+      // Lower-casing leaves phone numbers unchanged
+      if (address)
+        filter.address = Suppression.normalizeAddress("email", address);
+
+      // Calculate pagination
+      const skip = (page - 1) * limit;
+      const totalItems = await Suppression.countDocuments(filter);
+      const totalPages = Math.ceil(totalItems / limit);
+
+      const suppressions = await Suppression.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          suppressions,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalItems,
+            hasNext: page < totalPages,
+            hasPrev: page > 1,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Error fetching suppressions:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: "Failed to fetch suppressions",
+        },
+      });
+    }
+  }
+);
+
+// GET /admin/suppressions/:id - Get a suppression entry
+router.get("/:id", async (req, res) => {
+  try {
+    const suppression = await Suppression.findById(req.params.id);
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Suppression not found",
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: suppression,
+    });
+  } catch (error) {
+    logger.error("Error fetching suppression:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to fetch suppression",
+      },
+    });
+  }
+});
+
+// DELETE /admin/suppressions/:id - Allow sending to an address again
+router.delete("/:id", async (req, res) => {
+  try {
+    const suppression = await Suppression.findByIdAndDelete(req.params.id);
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Suppression not found",
+        },
+      });
+    }
+
+    logger.info(`Suppression removed: ${suppression._id}`, {
+      channel: suppression.channel,
+      address: suppression.address,
+      reason: suppression.reason,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: "Suppression removed successfully",
+      },
+    });
+  } catch (error) {
+    logger.error("Error removing suppression:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to remove suppression",
+      },
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,454 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const Template = require("../models/Template");
+const templateService = require("../services/templateService");
+const localeService = require("../services/localeService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// Validation middleware for template content
+const validateContent = [
+  body("channels")
+    .optional()
+    .isObject()
+    .withMessage("Channels must be an object"),
+  body("defaultLocale")
+    .optional()
+    .custom((value) => !!localeService.normalize(value))
+    .withMessage("Default locale must be a valid BCP 47 tag"),
+  body("locales").optional().isArray().withMessage("Locales must be an array"),
+  body("locales.*.locale")
+    .custom((value) => !!localeService.normalize(value))
+    .withMessage("Each locale variant needs a valid BCP 47 tag"),
+  body("content").optional().isString().withMessage("Content must be a string"),
+  body("layout").optional().isString().withMessage("Layout must be a string"),
+  body("variables")
+    .optional()
+    .isArray()
+    .withMessage("Variables must be an array"),
+  body("variables.*.name").notEmpty().withMessage("Each variable needs a name"),
+];
+
+const validateTemplate = [
+  body("name").notEmpty().withMessage("Name is required"),
+  body("kind")
+    .optional()
+    .isIn(["template", "partial", "layout"])
+    .withMessage("Kind must be template, partial, or layout"),
+  ...validateContent,
+];
+
+// POST /templates - Create a template, partial or layout
+router.post("/", validateTemplate, async (req, res) => {
+  try {
+    // Check validation results
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Validation failed",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const {
+      name,
+      description,
+      kind = "template",
+      category,
+      channels,
+      defaultLocale,
+      locales = [],
+      content,
+      layout,
+      variables = [],
+    } = req.body;
+
+    if (await Template.exists({ name })) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Template "${name}" already exists`,
+        },
+      });
+    }
+
+    const template = new Template({
+      name,
+      description,
+      kind,
+      category,
+      channels,
+      defaultLocale: defaultLocale && localeService.normalize(defaultLocale),
+      locales: locales.map((variant) => ({
+        ...variant,
+        locale: localeService.normalize(variant.locale),
+      })),
+      content,
+      layout,
+      variables,
+    });
+
+    await template.save();
+
+    logger.info(`Template created: ${template._id}`, { name, kind });
+
+    res.status(201).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    logger.error("Error creating template:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to create template",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      },
+    });
+  }
+});
+
+// GET /templates - List templates
+router.get(
+  "/",
+  [
+    query("kind")
+      .optional()
+      .isIn(["template", "partial", "layout"])
+      .withMessage("Invalid kind"),
+  ],
+  async (req, res) => {
+    try {
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { page = 1, limit = 10, kind, category } = req.query;
+
+      // Build filter query
+      const filter = {};
+      if (kind) filter.kind = kind;
+      if (category) filter.category = category;
+
+      // Calculate pagination
+      const skip = (page - 1) * limit;
+      const totalItems = await Template.countDocuments(filter);
+      const totalPages = Math.ceil(totalItems / limit);
+
+      // Version history is only returned by the versions endpoint
+      const templates = await Template.find(filter)
+        .select("-versions")
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          templates,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalItems,
+            hasNext: page < totalPages,
+            hasPrev: page > 1,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Error fetching templates:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: "Failed to fetch templates",
+        },
+      });
+    }
+  }
+);
+
+// GET /templates/:id - Get the current version of a template
+router.get("/:id", async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id).select("-versions");
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Template not found",
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    logger.error("Error fetching template:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to fetch template",
+      },
+    });
+  }
+});
+
+// PUT /templates/:id - Update template content as a new version
+router.put("/:id", validateContent, async (req, res) => {
+  try {
+    // Check validation results
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Validation failed",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const template = await Template.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Template not found",
+        },
+      });
+    }
+
+    const {
+      description,
+      category,
+      channels,
+      defaultLocale,
+      locales,
+      content,
+      layout,
+      variables,
+    } = req.body;
+
+    // Descriptive fields are not versioned
+    if (description !== undefined) template.description = description;
+    if (category !== undefined) template.category = category;
+
+    const changes = {
+      channels,
+      defaultLocale: defaultLocale && localeService.normalize(defaultLocale),
+      locales:
+        locales &&
+        locales.map((variant) => ({
+          ...variant,
+          locale: localeService.normalize(variant.locale),
+        })),
+      content,
+      layout,
+      variables,
+    };
+
+    if (Object.values(changes).some((value) => value !== undefined)) {
+      await template.createVersion(changes);
+    } else {
+      await template.save();
+    }
+
+    logger.info(`Template updated: ${template._id}`, {
+      name: template.name,
+      version: template.version,
+    });
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    logger.error("Error updating template:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to update template",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      },
+    });
+  }
+});
+
+// GET /templates/:id/versions - Get the version history of a template
+router.get("/:id/versions", async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Template not found",
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: template.version,
+        versions: [...template.versions, template.getVersion()].reverse(),
+      },
+    });
+  } catch (error) {
+    logger.error("Error fetching template versions:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to fetch template versions",
+      },
+    });
+  }
+});
+
+// POST /templates/:id/preview - Render a template without sending it
+router.post(
+  "/:id/preview",
+  [
+    body("type")
+      .isIn(["email", "sms", "in-app"])
+      .withMessage("Type must be email, sms, or in-app"),
+    body("variables")
+      .optional()
+      .isObject()
+      .withMessage("Variables must be an object"),
+    body("version")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Version must be a positive integer"),
+    body("locale")
+      .optional()
+      .custom((value) => !!localeService.normalize(value))
+      .withMessage("Locale must be a valid BCP 47 tag"),
+    body("timezone")
+      .optional()
+      .custom((value) => localeService.isValidTimezone(value))
+      .withMessage("Invalid timezone"),
+  ],
+  async (req, res) => {
+    try {
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const template = await Template.findById(req.params.id);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: "Template not found",
+          },
+        });
+      }
+
+      const { type, variables = {}, locale, timezone } = req.body;
+      const version = req.body.version
+        ? parseInt(req.body.version)
+        : template.version;
+
+      const problems = templateService.validate(
+        template,
+        type,
+        variables,
+        version
+      );
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Invalid template",
+            details: problems,
+          },
+        });
+      }
+
+      const rendered = await templateService.render(
+        template,
+        type,
+        variables,
+        version,
+        { locale, timezone }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          version,
+          rendered,
+        },
+      });
+    } catch (error) {
+      logger.error("Error previewing template:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: "Failed to preview template",
+          details:
+            process.env.NODE_ENV === "development" ? error.message : undefined,
+        },
+      });
+    }
+  }
+);
+
+// DELETE /templates/:id - Delete a template
+router.delete("/:id", async (req, res) => {
+  try {
+    const template = await Template.findByIdAndDelete(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Template not found",
+        },
+      });
+    }
+
+    logger.info(`Template deleted: ${template._id}`, { name: template.name });
+
+    res.json({
+      success: true,
+      data: {
+        message: "Template deleted successfully",
+      },
+    });
+  } catch (error) {
+    logger.error("Error deleting template:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to delete template",
+      },
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require("express");
+const trackingService = require("../services/trackingService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// Details of the request worth keeping with an engagement event
+const getClient = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("User-Agent"),
+});
+
+// GET /track/open/:token - Open pixel. Always answers with the image so
+// mail clients never show a broken one.
+router.get("/open/:token", async (req, res) => {
+  const tracking = trackingService.verifyToken(req.params.token);
+
+  if (tracking) {
+    try {
+      await trackingService.recordEvent(
+        tracking.notificationId,
+        "open",
+        getClient(req)
+      );
+    } catch (error) {
+      logger.error("Error recording email open:", error);
+    }
+  }
+
+  res
+    .set({
+      "Cache-Control": "no-store, no-cache, must-revalidate, private",
+      // Webmail loads the pixel from another origin
+      "Cross-Origin-Resource-Policy": "cross-origin",
+    })
+    .type("gif")
+    .send(trackingService.pixel);
+});
+
+// GET /track/click/:token - Record a click and redirect to the link target
+router.get("/click/:token", async (req, res) => {
+  const tracking = trackingService.verifyToken(req.params.token);
+  if (!tracking || !tracking.url) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: "Link not found",
+      },
+    });
+  }
+
+  try {
+    await trackingService.recordEvent(tracking.notificationId, "click", {
+      url: tracking.url,
+      ...getClient(req),
+    });
+  } catch (error) {
+    logger.error("Error recording email click:", error);
+  }
+
+  res.redirect(302, tracking.url);
+});
+
+module.exports = router;
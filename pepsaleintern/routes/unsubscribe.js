@@ -0,0 +1,78 @@
+const express = require("express");
+const unsubscribeService = require("../services/unsubscribeService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// Send the "invalid link" page for a token that does not verify
+const rejectToken = async (res) =>
+  res
+    .status(400)
+    .type("html")
+    .send(await unsubscribeService.renderPage(null, "invalid"));
+
+// GET /unsubscribe/:token - Confirmation page. Link scanners follow GET
+// links, so only the POST unsubscribes (RFC 8058).
+router.get("/:token", async (req, res) => {
+  try {
+    const subscription = unsubscribeService.verifyToken(req.params.token);
+    if (!subscription) return rejectToken(res);
+
+    const { userId, category } = subscription;
+    const page = await unsubscribeService.renderPage(
+      userId,
+      "prompt",
+      { category },
+      true
+    );
+
+    res.type("html").send(page);
+  } catch (error) {
+    logger.error("Error rendering unsubscribe page:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to load unsubscribe page",
+      },
+    });
+  }
+});
+
+// POST /unsubscribe/:token - Unsubscribe from the token's category, from
+// the confirmation form or a mail client's one-click request
+router.post("/:token", async (req, res) => {
+  try {
+    const subscription = unsubscribeService.verifyToken(req.params.token);
+    if (!subscription) return rejectToken(res);
+
+    const { userId, category } = subscription;
+    await unsubscribeService.unsubscribe(userId, category);
+
+    const page = await unsubscribeService.renderPage(userId, "done", {
+      category,
+    });
+
+    res.format({
+      json: () =>
+        res.json({
+          success: true,
+          data: {
+            userId,
+            category,
+            channel: "email",
+          },
+        }),
+      html: () => res.send(page),
+    });
+  } catch (error) {
+    logger.error("Error unsubscribing:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to unsubscribe",
+      },
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require("express");
-const { param, query, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 const Notification = require("../models/Notification");
+const UserPreference = require("../models/UserPreference");
+const inAppService = require("../services/inAppService");
+const localeService = require("../services/localeService");
 const logger = require("../utils/logger");
 
 const router = express.Router();
@@ -21,14 +24,192 @@ const validateQuery = [
     .withMessage("Limit must be between 1 and 100"),
   query("status")
     .optional()
-    .isIn(["pending", "queued", "processing", "sent", "failed"])
+    .isIn([
+      "pending",
+      "scheduled",
+      "queued",
+      "processing",
+      "sent",
+      "failed",
+      "cancelled",
+      "suppressed",
+      "held",
+      "deduplicated",
+      "collapsed",
+    ])
     .withMessage("Invalid status"),
   query("type")
     .optional()
     .isIn(["email", "sms", "in-app"])
     .withMessage("Invalid type"),
+  query("unreadOnly")
+    .optional()
+    .isBoolean()
+    .withMessage("unreadOnly must be a boolean"),
+  query("archived")
+    .optional()
+    .isBoolean()
+    .withMessage("archived must be a boolean"),
+];
+
+// Engagement actions for in-app notifications, keyed by route segment
+const engagementActions = {
+  read: { method: "markAsRead", field: "readAt", state: "read" },
+  seen: { method: "markAsSeen", field: "seenAt", state: "seen" },
+  archive: { method: "archive", field: "archivedAt", state: "archived" },
+  dismiss: { method: "dismiss", field: "dismissedAt", state: "dismissed" },
+};
+
+const validateBulkSelection = [
+  body("notificationIds")
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage("notificationIds must be an array of 1 to 500 IDs"),
+  body("notificationIds.*")
+    .isMongoId()
+    .withMessage("Each notification ID must be valid"),
+  body("all").optional().isBoolean().withMessage("all must be a boolean"),
+  body("category")
+    .optional()
+    .isString()
+    .withMessage("Category must be a string"),
+  body("before")
+    .optional()
+    .isISO8601()
+    .withMessage("before must be an ISO 8601 date"),
+  body().custom((value) => {
+    if (!value.notificationIds && value.all !== true) {
+      throw new Error("Either notificationIds or all: true is required");
+    }
+    return true;
+  }),
+];
+
+const validateStatsQuery = [
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Days must be between 1 and 365"),
+  query("timezone")
+    .optional()
+    .custom((value) => {
+      // Throws RangeError for unknown IANA time zones
+      new Intl.DateTimeFormat("en-US", { timeZone: value });
+      return true;
+    })
+    .withMessage("Invalid timezone"),
+];
+
+const validatePreferences = [
+  body("locale")
+    .optional({ nullable: true })
+    .custom((value) => !!localeService.normalize(value))
+    .withMessage("Locale must be a valid BCP 47 tag"),
+  body("timezone")
+    .optional({ nullable: true })
+    .custom((value) => localeService.isValidTimezone(value))
+    .withMessage("Invalid timezone"),
+  body("channels")
+    .optional()
+    .isObject()
+    .withMessage("Channels must be an object"),
+  body("channels.*.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Channel enabled flag must be a boolean"),
+  body("channels.email.address")
+    .optional({ nullable: true })
+    .isEmail()
+    .withMessage("Email address must be valid"),
+  body("channels.sms.address")
+    .optional({ nullable: true })
+    .matches(/^\+[1-9]\d{1,14}$/)
+    .withMessage("SMS address must be an E.164 phone number"),
+  body("categories")
+    .optional()
+    .isObject()
+    .withMessage("Categories must be an object")
+    .custom((value) =>
+      Object.keys(value).every((category) =>
+        UserPreference.CATEGORIES.includes(category)
+      )
+    )
+    .withMessage(
+      `Categories must be among: ${UserPreference.CATEGORIES.join(", ")}`
+    ),
+  body("categories.*.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Category enabled flag must be a boolean"),
+  body("categories.*.channels")
+    .optional()
+    .isObject()
+    .withMessage("Category channels must be an object"),
+  body("categories.*.channels.*")
+    .optional()
+    .isBoolean()
+    .withMessage("Category channel flags must be booleans"),
+  body("quietHours")
+    .optional()
+    .isObject()
+    .withMessage("Quiet hours must be an object"),
+  body("quietHours.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Quiet hours enabled flag must be a boolean"),
+  body(["quietHours.start", "quietHours.end"])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage("Quiet hours must use HH:mm times"),
+  body("quietHours.channels")
+    .optional()
+    .isArray()
+    .withMessage("Quiet hours channels must be an array")
+    .custom((value) =>
+      value.every((type) => ["email", "sms", "in-app"].includes(type))
+    )
+    .withMessage("Quiet hours channels must be email, sms, or in-app"),
+  body("digest").optional().isObject().withMessage("Digest must be an object"),
+  body("digest.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Digest enabled flag must be a boolean"),
+  body("digest.frequency")
+    .optional()
+    .isIn(UserPreference.DIGEST_FREQUENCIES)
+    .withMessage(
+      `Digest frequency must be one of: ${UserPreference.DIGEST_FREQUENCIES.join(", ")}`
+    ),
+  body("digest.channel")
+    .optional()
+    .isIn(["email", "in-app"])
+    .withMessage("Digest channel must be email or in-app"),
+  body("digest.categories")
+    .optional()
+    .isArray()
+    .withMessage("Digest categories must be an array")
+    .custom((value) =>
+      value.every((category) => UserPreference.CATEGORIES.includes(category))
+    )
+    .withMessage(
+      `Digest categories must be among: ${UserPreference.CATEGORIES.join(", ")}`
+    ),
+  body("digest.perCategory")
+    .optional()
+    .isBoolean()
+    .withMessage("Digest perCategory flag must be a boolean"),
 ];
 
+// Bulk actions for in-app notifications, keyed by route segment
+const bulkActions = {
+  read: {
+    method: "markNotificationsAsRead",
+    label: "mark notifications as read",
+  },
+  archive: { method: "archiveNotifications", label: "archive notifications" },
+  delete: { method: "deleteNotifications", label: "delete notifications" },
+};
+
 // GET /users/:id/notifications - Get user notifications
 router.get(
   "/:id/notifications",
@@ -55,6 +236,7 @@ router.get(
         status,
         type,
         unreadOnly = false,
+        archived = false,
       } = req.query;
 
       // Build filter query
@@ -62,11 +244,17 @@ router.get(
       if (status) filter.status = status;
       if (type) filter.type = type;
 
-      // For in-app notifications, filter for unread only if requested
-      if (unreadOnly === "true" && type === "in-app") {
-        filter.status = { $ne: "sent" };
+      // Unread only applies to in-app notifications (see unreadFilter)
+      if (unreadOnly === "true") {
+        filter.type = "in-app";
+        filter.readAt = null;
+        filter.deliveredVia = { $ne: "digest" };
       }
 
+      // Archived notifications are listed separately; dismissed ones never
+      filter.archivedAt = archived === "true" ? { $ne: null } : null;
+      filter.dismissedAt = null;
+
       // Calculate pagination
       const skip = (page - 1) * limit;
       const totalItems = await Notification.countDocuments(filter);
@@ -74,7 +262,7 @@ router.get(
 
       // Fetch notifications
       const notifications = await Notification.find(filter)
-        .select("-jobId") // Don't expose internal job IDs
+        .select("-jobId -queueName") // Don't expose internal job IDs
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit));
@@ -87,6 +275,7 @@ router.get(
 
       const summary = {
         total: totalItems,
+        unread: await Notification.countUnread(userId),
         byStatus: statusCounts.reduce((acc, curr) => {
           acc[curr._id] = curr.count;
           return acc;
@@ -129,50 +318,156 @@ router.get(
   }
 );
 
-// PATCH /users/:id/notifications/:notificationId/read - Mark in-app notification as read
-router.patch(
-  "/:id/notifications/:notificationId/read",
+// PATCH /users/:id/notifications/:notificationId/(read|seen|archive|dismiss)
+// Update the engagement state of an in-app notification
+Object.entries(engagementActions).forEach(([action, config]) => {
+  router.patch(
+    `/:id/notifications/:notificationId/${action}`,
+    validateUserId,
+    async (req, res) => {
+      try {
+        const { id: userId, notificationId } = req.params;
+
+        const notification = await Notification.findOne({
+          _id: notificationId,
+          userId,
+          type: "in-app",
+        });
+
+        if (!notification) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              message: "In-app notification not found",
+            },
+          });
+        }
+
+        await notification[config.method]();
+
+        // Keep the user's other open clients in sync
+        const unreadCount = await inAppService.broadcastStateChange(
+          userId,
+          config.state,
+          [notification._id],
+          notification[config.field]
+        );
+
+        logger.info(
+          `In-app notification marked as ${config.state}: ${notificationId}`,
+          {
+            userId,
+            notificationId,
+          }
+        );
+
+        res.json({
+          success: true,
+          data: {
+            message: `Notification marked as ${config.state}`,
+            notification,
+            unreadCount,
+          },
+        });
+      } catch (error) {
+        logger.error(`Error marking notification as ${config.state}:`, error);
+        res.status(500).json({
+          success: false,
+          error: {
+            message: `Failed to mark notification as ${config.state}`,
+          },
+        });
+      }
+    }
+  );
+});
+
+// POST /users/:id/notifications/(read|archive|delete)
+// Apply an action to a list of notifications, or to all of them with optional
+// category/before filters
+Object.entries(bulkActions).forEach(([action, config]) => {
+  router.post(
+    `/:id/notifications/${action}`,
+    validateUserId,
+    validateBulkSelection,
+    async (req, res) => {
+      try {
+        // Check validation results
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              message: "Validation failed",
+              details: errors.array(),
+            },
+          });
+        }
+
+        const { id: userId } = req.params;
+        const { notificationIds, all, category, before } = req.body;
+
+        const result = await inAppService[config.method](userId, {
+          notificationIds,
+          all,
+          category,
+          before,
+        });
+
+        res.json({
+          success: true,
+          data: result,
+        });
+      } catch (error) {
+        logger.error(`Error trying to ${config.label}:`, error);
+        res.status(500).json({
+          success: false,
+          error: {
+            message: `Failed to ${config.label}`,
+          },
+        });
+      }
+    }
+  );
+});
+
+// GET /users/:id/notifications/stats - Get notification statistics
+router.get(
+  "/:id/notifications/stats",
   validateUserId,
+  validateStatsQuery,
   async (req, res) => {
     try {
-      const { id: userId, notificationId } = req.params;
-
-      const notification = await Notification.findOne({
-        _id: notificationId,
-        userId,
-        type: "in-app",
-      });
-
-      if (!notification) {
-        return res.status(404).json({
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
           success: false,
           error: {
-            message: "In-app notification not found",
+            message: "Validation failed",
+            details: errors.array(),
           },
         });
       }
 
-      // Mark as read (sent status for in-app notifications means read)
-      await notification.markAsSent();
+      const { id: userId } = req.params;
+      const { days = 30, timezone = "UTC" } = req.query;
 
-      logger.info(`In-app notification marked as read: ${notificationId}`, {
-        userId,
-        notificationId,
+      const stats = await inAppService.getNotificationStats(userId, {
+        days: parseInt(days),
+        timezone,
       });
 
       res.json({
         success: true,
-        data: {
-          message: "Notification marked as read",
-          notification,
-        },
+        data: stats,
       });
     } catch (error) {
-      logger.error("Error marking notification as read:", error);
+      logger.error("Error fetching notification stats:", error);
       res.status(500).json({
         success: false,
         error: {
-          message: "Failed to mark notification as read",
+          message: "Failed to fetch notification stats",
         },
       });
     }
@@ -187,11 +482,7 @@ router.get(
     try {
       const { id: userId } = req.params;
 
-      const unreadCount = await Notification.countDocuments({
-        userId,
-        type: "in-app",
-        status: { $ne: "sent" },
-      });
+      const unreadCount = await Notification.countUnread(userId);
 
       res.json({
         success: true,
@@ -211,4 +502,118 @@ router.get(
   }
 );
 
+// GET /users/:id/preferences - Get notification preferences
+router.get("/:id/preferences", validateUserId, async (req, res) => {
+  try {
+    const { id: userId } = req.params;
+
+    const preference = await UserPreference.findOne({ userId });
+
+    res.json({
+      success: true,
+      data: preference || new UserPreference({ userId }),
+    });
+  } catch (error) {
+    logger.error("Error fetching user preferences:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to fetch user preferences",
+      },
+    });
+  }
+});
+
+// PUT /users/:id/preferences - Update notification preferences
+router.put(
+  "/:id/preferences",
+  validateUserId,
+  validatePreferences,
+  async (req, res) => {
+    try {
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { id: userId } = req.params;
+      const {
+        locale,
+        timezone,
+        channels = {},
+        categories = {},
+        quietHours,
+        digest,
+      } = req.body;
+
+      const preference =
+        (await UserPreference.findOne({ userId })) ||
+        new UserPreference({ userId });
+
+      if (locale !== undefined) {
+        preference.locale = locale ? localeService.normalize(locale) : null;
+      }
+      if (timezone !== undefined) preference.timezone = timezone;
+
+      // Merge per-channel settings so a partial update keeps the rest
+      ["email", "sms", "inApp"].forEach((key) => {
+        if (channels[key]) {
+          preference.channels[key] = {
+            ...preference.channels[key].toObject(),
+            ...channels[key],
+          };
+        }
+      });
+
+      Object.entries(categories).forEach(([category, settings]) => {
+        const current = preference.categories.get(category);
+        preference.categories.set(category, {
+          ...(current ? current.toObject() : {}),
+          ...settings,
+        });
+      });
+
+      if (quietHours) {
+        preference.quietHours = {
+          ...preference.quietHours.toObject(),
+          ...quietHours,
+        };
+      }
+
+      if (digest) {
+        // lastSentAt is maintained by the digest flush
+        const { lastSentAt, ...settings } = digest;
+        preference.digest = {
+          ...preference.digest.toObject(),
+          ...settings,
+        };
+      }
+
+      await preference.save();
+
+      logger.info(`User preferences updated: ${userId}`, { userId });
+
+      res.json({
+        success: true,
+        data: preference,
+      });
+    } catch (error) {
+      logger.error("Error updating user preferences:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: "Failed to update user preferences",
+        },
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,127 @@
+const express = require("express");
+const twilio = require("twilio");
+const { verifyTwilioSignature } = require("../middleware/twilioSignature");
+const { requireWebhookSecret } = require("../middleware/auth");
+const twilioWebhookService = require("../services/twilioWebhookService");
+const emailEventService = require("../services/emailEventService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// DSNs arrive as raw message text rather than JSON or form data
+const rawEmailBody = express.text({
+  type: ["text/*", "message/*", "multipart/*"],
+  limit: "1mb",
+});
+
+// POST /webhooks/twilio/status - Twilio message status callback
+router.post("/twilio/status", verifyTwilioSignature, async (req, res) => {
+  try {
+    const { MessageSid, MessageStatus } = req.body;
+    if (!MessageSid || !MessageStatus) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "MessageSid and MessageStatus are required",
+        },
+      });
+    }
+
+    await twilioWebhookService.handleStatusCallback(req.body);
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error("Error handling Twilio status callback:", error);
+    // A non-2xx response makes Twilio retry the callback
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to handle status callback",
+      },
+    });
+  }
+});
+
+// POST /webhooks/twilio/inbound - Incoming SMS, answered with TwiML
+router.post("/twilio/inbound", verifyTwilioSignature, async (req, res) => {
+  try {
+    const { MessageSid, From } = req.body;
+    if (!MessageSid || !From) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "MessageSid and From are required",
+        },
+      });
+    }
+
+    const reply = await twilioWebhookService.handleInbound(req.body);
+
+    const twiml = new twilio.twiml.MessagingResponse();
+    if (reply) twiml.message(reply);
+
+    res.type("text/xml").send(twiml.toString());
+  } catch (error) {
+    logger.error("Error handling inbound SMS:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "Failed to handle inbound SMS",
+      },
+    });
+  }
+});
+
+// POST /webhooks/email/:provider - Bounce, complaint and unsubscribe events,
+// parsed by the named provider parser
+router.post(
+  "/email/:provider",
+  requireWebhookSecret,
+  rawEmailBody,
+  async (req, res) => {
+    const { provider } = req.params;
+
+    if (!emailEventService.hasParser(provider)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: `Unknown email event provider: ${provider}`,
+        },
+      });
+    }
+
+    let events;
+    try {
+      events = emailEventService.parse(provider, req.body);
+    } catch (error) {
+      logger.warn(`Unparseable ${provider} email event payload`, {
+        error: error.message,
+      });
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid email event payload",
+        },
+      });
+    }
+
+    try {
+      const result = await emailEventService.handleEvents(events, provider);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Error handling email events:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: "Failed to handle email events",
+        },
+      });
+    }
+  }
+);
+
+module.exports = router;
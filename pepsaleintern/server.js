@@ -9,9 +9,20 @@ const connectDB = require("./config/database");
 const notificationRoutes = require("./routes/notifications");
 const userRoutes = require("./routes/users");
 const healthRoutes = require("./routes/health");
+const scheduleRoutes = require("./routes/schedules");
+const templateRoutes = require("./routes/templates");
+const messageRoutes = require("./routes/messages");
+const deadLetterRoutes = require("./routes/deadLetters");
+const adminQueueRoutes = require("./routes/adminQueue");
+const suppressionRoutes = require("./routes/suppressions");
+const webhookRoutes = require("./routes/webhooks");
+const unsubscribeRoutes = require("./routes/unsubscribe");
+const trackingRoutes = require("./routes/tracking");
 const errorHandler = require("./middleware/errorHandler");
 const logger = require("./utils/logger");
 const { initQueue } = require("./services/queueService");
+const socketService = require("./services/socketService");
+const unsubscribeService = require("./services/unsubscribeService");
 
 // Initialize Express app
 const app = express();
@@ -34,6 +45,15 @@ app.use(
 // Routes
 app.use("/notifications", notificationRoutes);
 app.use("/users", userRoutes);
+app.use("/schedules", scheduleRoutes);
+app.use("/templates", templateRoutes);
+app.use("/messages", messageRoutes);
+app.use("/admin/dead-letters", deadLetterRoutes);
+app.use("/admin/queue", adminQueueRoutes);
+app.use("/admin/suppressions", suppressionRoutes);
+app.use("/webhooks", webhookRoutes);
+app.use("/unsubscribe", unsubscribeRoutes);
+app.use("/track", trackingRoutes);
 app.use("/health", healthRoutes);
 
 // Root endpoint
@@ -43,7 +63,14 @@ app.get("/", (req, res) => {
     version: "1.0.0",
     endpoints: {
       sendNotification: "POST /notifications",
+      getMessageDelivery: "GET /messages/:id",
       getUserNotifications: "GET /users/:id/notifications",
+      createRecurringSchedule: "POST /schedules",
+      createTemplate: "POST /templates",
+      emailEngagement: "GET /notifications/engagement",
+      listDeadLetters: "GET /admin/dead-letters",
+      queueAdmin: "GET /admin/queue",
+      listSuppressions: "GET /admin/suppressions",
       health: "GET /health",
     },
   });
@@ -68,6 +95,17 @@ const PORT = process.env.PORT || 3000;
 
 async function startServer() {
   try {
+    // Every email must carry a working unsubscribe link: refuse to start in
+    // production without one
+    const unsubscribeProblems = unsubscribeService.getConfigProblems();
+    if (unsubscribeProblems.length > 0) {
+      const message = `Unsubscribe links are not configured: ${unsubscribeProblems.join("; ")}`;
+      if (process.env.NODE_ENV === "production") {
+        throw new Error(message);
+      }
+      logger.warn(message);
+    }
+
     // Connect to MongoDB
     await connectDB();
     logger.info("Connected to MongoDB");
@@ -82,9 +120,13 @@ async function startServer() {
       logger.info(`Environment: ${process.env.NODE_ENV}`);
     });
 
+    // Attach real-time gateway for in-app notifications
+    socketService.init(server);
+
     // Graceful shutdown
     process.on("SIGTERM", () => {
       logger.info("SIGTERM received. Shutting down gracefully...");
+      socketService.close();
       server.close(() => {
         logger.info("Process terminated");
         process.exit(0);
@@ -93,6 +135,7 @@ async function startServer() {
 
     process.on("SIGINT", () => {
       logger.info("SIGINT received. Shutting down gracefully...");
+      socketService.close();
       server.close(() => {
         logger.info("Process terminated");
         process.exit(0);
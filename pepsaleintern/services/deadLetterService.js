@@ -0,0 +1,167 @@
+const DeadLetter = require("../models/DeadLetter");
+const Notification = require("../models/Notification");
+const { addToQueue } = require("./queueService");
+const logger = require("../utils/logger");
+
+// Fields an admin may change before replaying an entry
+const EDITABLE_FIELDS = [
+  "recipient",
+  "subject",
+  "message",
+  "variables",
+  "metadata",
+];
+
+class DeadLetterService {
+  // What the provider said about the failure (Twilio REST errors carry
+  // status/code/moreInfo, Nodemailer errors responseCode/response/command)
+  getProviderResponse(error) {
+    const fields = [
+      "status",
+      "code",
+      "moreInfo",
+      "details",
+      "responseCode",
+      "response",
+      "command",
+    ];
+    const response = {};
+    fields.forEach((field) => {
+      if (error[field] !== undefined) response[field] = error[field];
+    });
+    return Object.keys(response).length > 0 ? response : undefined;
+  }
+
+  // Store a permanently failed notification
+  async record(notification, error, job) {
+    const entry = await DeadLetter.create({
+      notificationId: notification._id,
+      userId: notification.userId,
+      type: notification.type,
+      recipient: notification.recipient,
+      priority: notification.priority,
+      category: notification.getCategory(),
+      payload: {
+        subject: notification.subject,
+        message: notification.message,
+        templateId: notification.templateId,
+        variables: notification.variables,
+        metadata: Object.fromEntries(notification.metadata || []),
+      },
+      error: {
+        message: error.message,
+        code: error.code,
+        permanent: !!error.permanent,
+      },
+      providerResponse: this.getProviderResponse(error),
+      attempts: notification.attempts,
+      queueName: notification.queueName,
+      jobId: job ? String(job.id) : notification.jobId,
+      failedAt: notification.failedAt || new Date(),
+    });
+
+    logger.warn(`Notification dead-lettered: ${notification._id}`, {
+      deadLetterId: entry._id,
+      type: notification.type,
+      error: error.message,
+    });
+
+    return entry;
+  }
+
+  // Query for listing and bulk operations
+  buildFilter({ status, type, userId, category, from, to } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (userId) filter.userId = userId;
+    if (category) filter.category = category;
+    if (from || to) {
+      filter.failedAt = {};
+      if (from) filter.failedAt.$gte = new Date(from);
+      if (to) filter.failedAt.$lte = new Date(to);
+    }
+    return filter;
+  }
+
+  // Requeue the failed notification, optionally after editing it. The
+  // notification keeps its ID so its message and history stay intact.
+  async replay(entry, changes = {}) {
+    const notification = await Notification.findById(entry.notificationId);
+    if (!notification) {
+      throw new Error(`Notification not found: ${entry.notificationId}`);
+    }
+
+    if (notification.status !== "failed") {
+      throw new Error(
+        `Cannot replay a notification with status "${notification.status}"`
+      );
+    }
+
+    const applied = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (changes[field] !== undefined) {
+        notification[field] = changes[field];
+        applied[field] = changes[field];
+      }
+    });
+
+    // The worker re-renders templated notifications, which would overwrite
+    // an edited subject or message: send the edited content as it is
+    if (
+      notification.templateId &&
+      (applied.subject !== undefined || applied.message !== undefined)
+    ) {
+      notification.templateId = undefined;
+      notification.templateVersion = undefined;
+      notification.html = undefined;
+    }
+
+    notification.attempts = 0;
+    notification.errorMessage = undefined;
+    notification.failedAt = undefined;
+    notification.scheduledAt = undefined;
+
+    const job = await addToQueue(notification, notification.priority);
+    notification.jobId = job.id;
+    notification.status = "queued";
+    await notification.save();
+
+    await entry.markAsReplayed(
+      Object.keys(applied).length > 0 ? applied : undefined
+    );
+
+    logger.info(`Dead letter replayed: ${entry._id}`, {
+      notificationId: notification._id,
+      jobId: job.id,
+      changed: Object.keys(applied),
+    });
+
+    return { notification, job };
+  }
+
+  // Replay several entries; one failing does not stop the others
+  async replayMany(entries) {
+    const results = [];
+    for (const entry of entries) {
+      try {
+        const { notification, job } = await this.replay(entry);
+        results.push({
+          deadLetterId: entry._id,
+          notificationId: notification._id,
+          jobId: job.id,
+          replayed: true,
+        });
+      } catch (error) {
+        results.push({
+          deadLetterId: entry._id,
+          replayed: false,
+          error: error.message,
+        });
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = new DeadLetterService();
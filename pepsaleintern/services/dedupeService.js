@@ -0,0 +1,131 @@
+const Notification = require("../models/Notification");
+const inAppService = require("./inAppService");
+const templateService = require("./templateService");
+const logger = require("../utils/logger");
+
+// Statuses of notifications that did not reach the user
+const UNDELIVERED = [
+  "failed",
+  "cancelled",
+  "suppressed",
+  "deduplicated",
+  "collapsed",
+];
+
+class DedupeService {
+  constructor() {
+    // Window used when a notification has a key but no dedupeWindow
+    this.defaultWindow = parseInt(process.env.DEDUPE_WINDOW_MS || "3600000");
+  }
+
+  // Earlier notification of the same user and channel sharing a key within
+  // the window. IDs give a total order, so concurrent duplicates agree on
+  // which of them is the original.
+  async findOriginal(notification, field) {
+    const window = notification.dedupeWindow || this.defaultWindow;
+    const createdAt = notification.createdAt || new Date();
+
+    const filter = {
+      _id: { $lt: notification._id },
+      userId: notification.userId,
+      type: notification.type,
+      [field]: notification[field],
+      status: { $nin: UNDELIVERED },
+      createdAt: { $gte: new Date(createdAt.getTime() - window) },
+    };
+
+    // Only unread in-app notifications can absorb later ones
+    if (field === "collapseKey") {
+      Object.assign(filter, {
+        readAt: null,
+        archivedAt: null,
+        dismissedAt: null,
+      });
+    }
+
+    return Notification.findOne(filter).sort({ _id: 1 });
+  }
+
+  // Drop or collapse a notification that repeats an earlier one. Returns
+  // { status, original }, or null when the notification should be sent.
+  async check(notification) {
+    if (notification.collapseKey) {
+      const original = await this.findOriginal(notification, "collapseKey");
+      if (original) {
+        if (notification.type === "in-app") {
+          await this.collapse(original, notification);
+          return { status: "collapsed", original };
+        }
+
+        // Other channels cannot update what was sent, so they drop
+        await notification.markAsDuplicate(original._id);
+        return { status: "deduplicated", original };
+      }
+    }
+
+    if (notification.dedupeKey) {
+      const original = await this.findOriginal(notification, "dedupeKey");
+      if (original) {
+        await notification.markAsDuplicate(original._id);
+        return { status: "deduplicated", original };
+      }
+    }
+
+    return null;
+  }
+
+  // Fold an in-app notification into the earlier one: it takes the newer
+  // content and counts both. Templated notifications get the count as the
+  // "count" variable ("{{count}} new comments").
+  async collapse(original, duplicate) {
+    original.collapseCount += duplicate.collapseCount || 1;
+    original.lastCollapsedAt = new Date();
+    original.subject = duplicate.subject;
+    original.message = duplicate.message;
+    original.metadata = duplicate.metadata;
+
+    if (duplicate.templateId) {
+      original.templateId = duplicate.templateId;
+      original.templateVersion = duplicate.templateVersion;
+      original.variables = {
+        ...(duplicate.variables || {}),
+        count: original.collapseCount,
+      };
+    } else {
+      // Otherwise the worker would render the original's template over the
+      // newer content
+      original.templateId = undefined;
+      original.templateVersion = undefined;
+      original.variables = undefined;
+      original.html = undefined;
+    }
+
+    await original.save();
+    await duplicate.markAsDuplicate(original._id, "collapsed");
+
+    // Already in the inbox: re-render now and push the update; otherwise the
+    // worker renders it when it is sent
+    if (original.status === "sent") {
+      if (original.templateId) {
+        await templateService.renderNotification(original);
+      }
+
+      await inAppService.broadcastToUser(
+        original.userId,
+        inAppService.formatInAppNotification(
+          original,
+          Object.fromEntries(original.metadata || [])
+        )
+      );
+    }
+
+    logger.info(`Notification collapsed: ${duplicate._id} -> ${original._id}`, {
+      collapseKey: original.collapseKey,
+      count: original.collapseCount,
+    });
+
+    return original;
+  }
+}
+
+module.exports = new DedupeService();
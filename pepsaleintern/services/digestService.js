@@ -0,0 +1,197 @@
+const Notification = require("../models/Notification");
+const Template = require("../models/Template");
+const UserPreference = require("../models/UserPreference");
+const notificationService = require("./notificationService");
+const templateService = require("./templateService");
+const localeService = require("./localeService");
+const logger = require("../utils/logger");
+
+class DigestService {
+  constructor() {
+    // Optional stored template used instead of the built-in digest text
+    this.templateName = process.env.DIGEST_TEMPLATE || "digest";
+  }
+
+  // Send a digest to every user whose digest period has passed. Users who
+  // have since switched digests off get their held notifications right away.
+  async flushDue(now = new Date()) {
+    const userIds = await Notification.distinct("userId", {
+      status: "held",
+      digestNotificationId: null,
+    });
+
+    const digests = [];
+    for (const userId of userIds) {
+      const preference = await UserPreference.findOne({ userId });
+      if (preference && preference.digest.enabled) {
+        if (!preference.isDigestDue(now)) continue;
+      }
+
+      try {
+        digests.push(...(await this.sendDigest(userId, preference)));
+      } catch (error) {
+        logger.error(`Failed to send digest for user ${userId}:`, error);
+      }
+    }
+
+    return digests;
+  }
+
+  // Roll a user's held notifications up into one digest (or one per
+  // category) and queue it
+  async sendDigest(userId, preference) {
+    const held = await Notification.find({
+      userId,
+      status: "held",
+      digestNotificationId: null,
+    }).sort({ heldAt: 1 });
+
+    if (held.length === 0) {
+      return [];
+    }
+
+    const groups = new Map();
+    held.forEach((notification) => {
+      const channel = this.getChannel(notification, preference);
+      const category =
+        preference && preference.digest.perCategory
+          ? notification.getCategory()
+          : null;
+      const key = `${channel}:${category}`;
+      if (!groups.has(key)) groups.set(key, { channel, category, items: [] });
+      groups.get(key).items.push(notification);
+    });
+
+    const digests = [];
+    for (const { channel, category, items } of groups.values()) {
+      digests.push(
+        await this.createDigest(userId, preference, channel, items, category)
+      );
+    }
+
+    if (preference) {
+      preference.digest.lastSentAt = new Date();
+      await preference.save();
+    }
+
+    return digests;
+  }
+
+  // Create the digest notification and attach the held records to it; they
+  // are marked as sent once the digest itself is sent
+  async createDigest(userId, preference, channel, items, category = null) {
+    const target = this.resolveTarget(channel, preference, items);
+    const locale = (preference && preference.locale) || items[0].locale;
+    const variables = {
+      count: items.length,
+      category,
+      frequency: preference ? preference.digest.frequency : undefined,
+      items: items.map((item) => ({
+        type: item.type,
+        category: item.getCategory(),
+        subject: item.subject,
+        message: item.message,
+        heldAt: item.heldAt,
+      })),
+    };
+
+    const template = await this.getTemplate(target.type, variables);
+    const content = template ? {} : this.buildContent(variables, locale);
+
+    const { notification: digest, job } =
+      await notificationService.createNotification(
+        {
+          userId,
+          type: target.type,
+          recipient: target.recipient,
+          subject: content.subject,
+          message: content.message,
+          priority: "medium",
+          metadata: { category: category || "general", digest: true },
+          variables,
+          locale,
+          isDigest: true,
+        },
+        template
+      );
+
+    // A digest the user's preferences rule out takes its records with it
+    await Notification.updateMany(
+      { _id: { $in: items.map((item) => item._id) } },
+      job
+        ? { digestNotificationId: digest._id }
+        : {
+            digestNotificationId: digest._id,
+            status: "suppressed",
+            suppressedAt: new Date(),
+            suppressionReason: digest.suppressionReason,
+          }
+    );
+
+    logger.info(`Digest created: ${digest._id}`, {
+      userId,
+      type: target.type,
+      category,
+      count: items.length,
+    });
+
+    return digest;
+  }
+
+  // Channel of the digest a held record is rolled up into. In-app records
+  // only go into an in-app digest: marked as delivered by an email one, they
+  // would turn up in the inbox as unread without ever having been shown.
+  getChannel(notification, preference) {
+    if (notification.type === "in-app") return "in-app";
+    return preference ? preference.digest.channel : "email";
+  }
+
+  // Email digests need an address; without one the digest goes in-app
+  resolveTarget(channel, preference, items) {
+    if (channel === "email") {
+      const fromItems = items.find((item) => item.type === "email");
+      const recipient =
+        (preference && preference.getAddress("email")) ||
+        (fromItems && fromItems.recipient);
+      if (recipient) return { type: "email", recipient };
+    }
+
+    return { type: "in-app" };
+  }
+
+  // The stored digest template, if it exists and can render this channel
+  async getTemplate(type, variables) {
+    const template = await Template.findOne({
+      name: this.templateName,
+      kind: "template",
+    });
+    if (!template) return null;
+
+    const problems = templateService.validate(template, type, variables);
+    if (problems.length > 0) {
+      logger.warn(`Digest template cannot be used for ${type}`, { problems });
+      return null;
+    }
+
+    return template;
+  }
+
+  // Built-in digest text when no template is configured
+  buildContent({ count, items }, locale) {
+    const lines = items.map(
+      (item) =>
+        `• ${item.subject ? `${item.subject}: ` : ""}${item.message || ""}`
+    );
+
+    return {
+      subject: localeService.translate("digest.subject", locale, { count }),
+      message: [
+        localeService.translate("digest.intro", locale),
+        "",
+        ...lines,
+      ].join("\n"),
+    };
+  }
+}
+
+module.exports = new DigestService();
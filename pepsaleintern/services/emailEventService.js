@@ -0,0 +1,177 @@
+const Notification = require("../models/Notification");
+const Suppression = require("../models/Suppression");
+const logger = require("../utils/logger");
+
+// Event types that add the address to the email suppression list. Bounces
+// only count when they are permanent (hard bounces).
+const SUPPRESSING = ["bounce", "complaint", "unsubscribe"];
+
+// Delivery event status recorded on the notification for each event type
+const EVENT_STATUS = {
+  bounce: "bounced",
+  complaint: "complained",
+  unsubscribe: "unsubscribed",
+};
+
+// Unfold RFC 5322 header lines and return them as [name, value] pairs
+const parseHeaderLines = (text) =>
+  text
+    .replace(/\r\n/g, "\n")
+    .replace(/\n[ \t]+/g, " ")
+    .split("\n")
+    .map((line) => line.match(/^([\w-]+):\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, name, value]) => [name.toLowerCase(), value.trim()]);
+
+// Delivery status notification (RFC 3464) as raw message text: one event
+// per failed or delayed recipient
+const parseDSN = (body) => {
+  const lines = parseHeaderLines(String(body || ""));
+  const events = [];
+  let current = null;
+  let messageId;
+
+  lines.forEach(([name, value]) => {
+    if (name === "final-recipient") {
+      current = { address: value.replace(/^rfc822;\s*/i, "") };
+      events.push(current);
+    } else if (name === "original-message-id") {
+      messageId = value;
+    } else if (name === "message-id" && events.length > 0) {
+      // The returned original headers follow the per-recipient fields
+      messageId = messageId || value;
+    } else if (current && name === "action") {
+      current.action = value.toLowerCase();
+    } else if (current && name === "status") {
+      current.status = value;
+    } else if (current && name === "diagnostic-code") {
+      current.diagnostic = value.replace(/^smtp;\s*/i, "");
+    }
+  });
+
+  return events
+    .filter((event) => ["failed", "delayed"].includes(event.action))
+    .map((event) => ({
+      type: "bounce",
+      address: event.address,
+      permanent: event.action === "failed" && /^5/.test(event.status || "5"),
+      status: event.status,
+      diagnostic: event.diagnostic,
+      messageId,
+    }));
+};
+
+// Provider-neutral JSON: an event, an array of events or { events: [...] }
+// with type, email (or address), permanent, messageId, reason and timestamp
+const parseJSON = (body) => {
+  const payload = typeof body === "string" ? JSON.parse(body) : body;
+  const events = Array.isArray(payload) ? payload : payload.events || [payload];
+
+  return events
+    .filter((event) => event && SUPPRESSING.includes(event.type))
+    .map((event) => ({
+      type: event.type,
+      address: event.email || event.address,
+      permanent: event.type !== "bounce" || event.permanent !== false,
+      status: event.status,
+      diagnostic: event.reason,
+      messageId: event.messageId,
+      at: event.timestamp ? new Date(event.timestamp) : undefined,
+    }));
+};
+
+class EmailEventService {
+  constructor() {
+    this.parsers = {
+      dsn: parseDSN,
+      json: parseJSON,
+    };
+  }
+
+  // Add a parser for another provider's webhook format. It receives the
+  // request body and returns events shaped like parseJSON's.
+  registerParser(name, parser) {
+    this.parsers[name] = parser;
+  }
+
+  hasParser(name) {
+    return Object.prototype.hasOwnProperty.call(this.parsers, name);
+  }
+
+  parse(name, body) {
+    return this.parsers[name](body).filter((event) => event.address);
+  }
+
+  // The notification the event refers to, matched on the SMTP Message-ID
+  async findNotification(messageId) {
+    if (!messageId) return null;
+
+    const id = messageId.replace(/^<|>$/g, "");
+    return Notification.findOne({
+      type: "email",
+      providerMessageId: { $in: [id, `<${id}>`] },
+    });
+  }
+
+  // Record bounce, complaint and unsubscribe events from a provider.
+  // Returns how many events were handled and how many suppressed an address.
+  async handleEvents(events, source) {
+    // Required lazily: notificationProcessor loads this module via emailService
+    const { failNotification } = require("./notificationProcessor");
+    let suppressed = 0;
+
+    for (const event of events) {
+      const notification = await this.findNotification(event.messageId);
+      const at = event.at || new Date();
+
+      if (notification) {
+        await notification.addDeliveryEvent({
+          status: event.permanent ? EVENT_STATUS[event.type] : "deferred",
+          provider: source,
+          errorCode: event.status,
+          errorMessage: event.diagnostic,
+          at,
+        });
+
+        // A hard bounce after the message was accepted is a failed delivery
+        if (
+          event.type === "bounce" &&
+          event.permanent &&
+          notification.status === "sent"
+        ) {
+          const error = new Error(
+            `Email bounced: ${event.diagnostic || event.status || "unknown"}`
+          );
+          error.code = event.status;
+          error.permanent = true;
+          await failNotification(notification, error);
+        }
+      }
+
+      if (!event.permanent) continue;
+
+      await Suppression.suppress("email", event.address, {
+        reason: event.type,
+        source,
+        userId: notification ? notification.userId : undefined,
+        details: {
+          status: event.status,
+          diagnostic: event.diagnostic,
+          messageId: event.messageId,
+          at,
+        },
+      });
+      suppressed += 1;
+
+      logger.info(`Email address suppressed: ${event.address}`, {
+        reason: event.type,
+        source,
+        notificationId: notification ? notification._id : undefined,
+      });
+    }
+
+    return { processed: events.length, suppressed };
+  }
+}
+
+module.exports = new EmailEventService();
@@ -1,4 +1,9 @@
 const nodemailer = require("nodemailer");
+const Suppression = require("../models/Suppression");
+const localeService = require("./localeService");
+const emailEventService = require("./emailEventService");
+const unsubscribeService = require("./unsubscribeService");
+const trackingService = require("./trackingService");
 const logger = require("../utils/logger");
 
 class EmailService {
@@ -41,7 +46,45 @@ class EmailService {
         throw new Error("Email transporter not initialized");
       }
 
-      const { subject, message, recipient, metadata = {} } = notification;
+      const { subject, message, recipient } = notification;
+      const metadata =
+        notification.metadata instanceof Map
+          ? Object.fromEntries(notification.metadata)
+          : notification.metadata || {};
+
+      // Bounced, complaining and unsubscribed addresses are not mailed again
+      if (await Suppression.isSuppressed("email", recipient)) {
+        const error = new Error(
+          `Recipient is on the suppression list: ${recipient}`
+        );
+        error.permanent = true;
+        error.suppressed = true;
+        throw error;
+      }
+
+      // Every email carries a one-click unsubscribe for its category
+      const unsubscribeUrl = unsubscribeService.getUrl(notification);
+      if (!unsubscribeUrl) {
+        logger.error("Sending email without an unsubscribe link", {
+          notificationId: notification._id,
+          problems: unsubscribeService.getConfigProblems(),
+        });
+      }
+
+      let html =
+        notification.html ||
+        this.generateHTMLContent(
+          subject,
+          message,
+          { unsubscribeUrl, ...metadata },
+          notification.locale
+        );
+
+      // Optional open pixel and click redirects
+      if (trackingService.isEnabled(notification, metadata)) {
+        html = trackingService.instrumentHtml(html, notification);
+        notification.tracked = true;
+      }
 
       // Prepare email options
       const mailOptions = {
@@ -52,12 +95,27 @@ class EmailService {
         to: recipient,
         subject: subject,
         text: message,
-        html: this.generateHTMLContent(subject, message, metadata),
+        html,
+        headers: unsubscribeUrl
+          ? unsubscribeService.getHeaders(unsubscribeUrl)
+          : {},
       };
 
       // Send email
       const info = await this.transporter.sendMail(mailOptions);
 
+      // The server refused the recipient at RCPT TO, so nothing was sent
+      if (info.rejected && info.rejected.length > 0) {
+        const error = new Error(
+          `Recipient rejected: ${info.rejected.join(", ")}`
+        );
+        error.rejectedErrors = info.rejectedErrors;
+        error.permanent = (info.rejectedErrors || []).some(
+          (rejection) => rejection.responseCode >= 500
+        );
+        throw error;
+      }
+
       logger.info("Email sent successfully", {
         notificationId: notification._id,
         messageId: info.messageId,
@@ -75,15 +133,27 @@ class EmailService {
         notificationId: notification._id,
         recipient: notification.recipient,
       });
+
+      const bounces = this.getHardBounces(error);
+      if (bounces.length > 0) {
+        await emailEventService
+          .handleEvents(bounces, "smtp")
+          .catch((recordError) =>
+            logger.error("Failed to record SMTP rejection:", recordError)
+          );
+      }
+
       throw error;
     }
   }
 
-  generateHTMLContent(subject, message, metadata = {}) {
+  generateHTMLContent(subject, message, metadata = {}, locale) {
+    const t = (key, params) => localeService.translate(key, locale, params);
+
     // Simple HTML template - can be enhanced with proper templating engine
     const template = `
       <!DOCTYPE html>
-      <html>
+      <html lang="${locale || localeService.defaultLocale}">
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -135,18 +205,20 @@ class EmailService {
           ${
             metadata.actionUrl
               ? `<br><br><a href="${metadata.actionUrl}" class="button">${
-                  metadata.actionText || "Take Action"
+                  metadata.actionText || t("email.takeAction")
                 }</a>`
               : ""
           }
         </div>
         <div class="footer">
-          <p>This is an automated message from ${
-            metadata.serviceName || "Notification Service"
-          }.</p>
+          <p>${t("email.automatedMessage", {
+            serviceName: metadata.serviceName || "Notification Service",
+          })}</p>
           ${
             metadata.unsubscribeUrl
-              ? `<p><a href="${metadata.unsubscribeUrl}">Unsubscribe</a></p>`
+              ? `<p><a href="${metadata.unsubscribeUrl}">${t(
+                  "email.unsubscribe"
+                )}</a></p>`
               : ""
           }
         </div>
@@ -157,6 +229,34 @@ class EmailService {
     return template;
   }
 
+  // SMTP 5xx responses are permanent rejections (unknown mailbox, policy)
+  isPermanentError(error) {
+    return !!error.permanent || error.responseCode >= 500;
+  }
+
+  // Recipients the SMTP server refused with a 5xx are hard bounces
+  getHardBounces(error) {
+    return (error.rejectedErrors || [])
+      .filter((rejection) => rejection.responseCode >= 500)
+      .map((rejection) => ({
+        type: "bounce",
+        address: rejection.recipient,
+        permanent: true,
+        status: String(rejection.responseCode),
+        diagnostic: rejection.response,
+      }));
+  }
+
+  // The SMTP server is throttling us: 421, or a 4xx naming a rate limit
+  isRateLimitError(error) {
+    return (
+      error.responseCode === 421 ||
+      (error.responseCode >= 400 &&
+        error.responseCode < 500 &&
+        /rate|too many|throttl/i.test(error.response || ""))
+    );
+  }
+
   // Test email configuration
   async testConnection() {
     try {
@@ -1,3 +1,6 @@
+const Notification = require("../models/Notification");
+const socketService = require("./socketService");
+const localeService = require("./localeService");
 const logger = require("../utils/logger");
 
 class InAppService {
@@ -19,8 +22,7 @@ class InAppService {
       // In-app notifications are already stored in database
       // This service just handles the formatting and any additional processing
 
-      // You could add real-time features here like:
-      // - WebSocket broadcasting
+      // You could add more real-time features here like:
       // - Push notifications to mobile apps
       // - Integration with messaging platforms
 
@@ -29,7 +31,7 @@ class InAppService {
         userId: notification.userId,
       });
 
-      // Simulate real-time notification (you can integrate WebSocket here)
+      // Push to connected WebSocket clients
       if (metadata.realTime !== false) {
         await this.broadcastToUser(notification.userId, formattedNotification);
       }
@@ -55,9 +57,16 @@ class InAppService {
       title: notification.subject || this.generateTitle(notification, metadata),
       message: notification.message,
       timestamp: notification.createdAt,
+      locale: notification.locale,
       priority: notification.priority,
       category: metadata.category || "general",
       actionable: !!metadata.actionUrl,
+      read: !!notification.readAt,
+      seen: !!notification.seenAt,
+      readAt: notification.readAt,
+      seenAt: notification.seenAt,
+      count: notification.collapseCount || 1,
+      updatedAt: notification.lastCollapsedAt,
       data: {
         userId: notification.userId,
         actionUrl: metadata.actionUrl,
@@ -75,16 +84,11 @@ class InAppService {
   generateTitle(notification, metadata = {}) {
     // Generate a title based on notification type or metadata
     if (metadata.category) {
-      const titleMap = {
-        system: "System Notification",
-        marketing: "Special Offer",
-        update: "Update Available",
-        reminder: "Reminder",
-        alert: "Important Alert",
-        social: "Social Activity",
-        general: "Notification",
-      };
-      return titleMap[metadata.category] || "Notification";
+      const key = `titles.${metadata.category}`;
+      const title = localeService.translate(key, notification.locale);
+      return title !== key
+        ? title
+        : localeService.translate("titles.general", notification.locale);
     }
 
     // Extract title from message (first sentence or first N characters)
@@ -118,26 +122,24 @@ class InAppService {
     return colorMap[priority] || "#6c757d";
   }
 
-  // Simulate real-time broadcasting (integrate with WebSocket/Socket.IO)
+  // Push a notification to the user's connected clients
   async broadcastToUser(userId, notificationData) {
     try {
-      // This is where you would integrate with WebSocket
-      // For now, we'll just log it
+      const delivered = socketService.emitToUser(
+        userId,
+        "notification",
+        notificationData
+      );
 
       logger.info("Broadcasting real-time notification", {
         userId,
         notificationId: notificationData.id,
+        delivered,
       });
 
-      // Example WebSocket integration:
-      // if (this.io) {
-      //   this.io.to(`user:${userId}`).emit('notification', notificationData);
-      // }
+      await this.broadcastUnreadCount(userId);
 
-      // Example push notification integration:
-      // await this.sendPushNotification(userId, notificationData);
-
-      return true;
+      return delivered;
     } catch (error) {
       logger.error("Failed to broadcast real-time notification:", error);
       // Don't throw error as this is non-critical
@@ -145,6 +147,34 @@ class InAppService {
     }
   }
 
+  // Push the current unread count to the user's connected clients
+  async broadcastUnreadCount(userId) {
+    try {
+      const unreadCount = await Notification.countUnread(userId);
+      socketService.emitToUser(userId, "unread-count", { unreadCount });
+      return unreadCount;
+    } catch (error) {
+      logger.error("Failed to broadcast unread count:", error);
+      return null;
+    }
+  }
+
+  // Push engagement changes (read/seen/archived/dismissed) so other open
+  // clients stay in sync
+  async broadcastStateChange(userId, state, notificationIds, at = new Date()) {
+    try {
+      socketService.emitToUser(userId, `notification:${state}`, {
+        notificationIds: notificationIds.map((id) => id.toString()),
+        at,
+      });
+
+      return await this.broadcastUnreadCount(userId);
+    } catch (error) {
+      logger.error(`Failed to broadcast ${state} state:`, error);
+      return null;
+    }
+  }
+
   // Get formatted notifications for a user (for API responses)
   async getFormattedNotifications(notifications) {
     return notifications.map((notification) => {
@@ -155,21 +185,54 @@ class InAppService {
     });
   }
 
+  // Build the query for a bulk action: explicit IDs, or every in-app
+  // notification of the user narrowed by category and creation date
+  buildBulkFilter(userId, { notificationIds, all, category, before } = {}) {
+    const filter = { userId, type: "in-app" };
+
+    if (notificationIds && notificationIds.length > 0) {
+      filter._id = { $in: notificationIds };
+    } else if (!all) {
+      throw new Error("Either notificationIds or all must be provided");
+    }
+
+    if (category) filter["metadata.category"] = category;
+    if (before) filter.createdAt = { $lt: new Date(before) };
+
+    return filter;
+  }
+
   // Mark notifications as read in bulk
-  async markNotificationsAsRead(notificationIds, userId) {
+  async markNotificationsAsRead(userId, selection = {}) {
     try {
-      // This would typically update the database
-      // For now, we'll just log it
+      const filter = {
+        ...this.buildBulkFilter(userId, selection),
+        readAt: null,
+      };
+      const ids = await Notification.find(filter).distinct("_id");
+      const now = new Date();
+
+      // Reading implies seeing; keep an earlier seenAt if there is one
+      const result = await Notification.updateMany({ _id: { $in: ids } }, [
+        { $set: { readAt: now, seenAt: { $ifNull: ["$seenAt", now] } } },
+      ]);
+
+      const unreadCount = await this.broadcastStateChange(
+        userId,
+        "read",
+        ids,
+        now
+      );
 
-      logger.info("Marking notifications as read", {
+      logger.info("Marked notifications as read", {
         userId,
-        count: notificationIds.length,
-        notificationIds,
+        count: result.modifiedCount,
       });
 
       return {
         success: true,
-        markedAsRead: notificationIds.length,
+        markedAsRead: result.modifiedCount,
+        unreadCount,
       };
     } catch (error) {
       logger.error("Failed to mark notifications as read:", error);
@@ -177,26 +240,150 @@ class InAppService {
     }
   }
 
-  // Get notification statistics
-  async getNotificationStats(userId) {
+  // Archive notifications in bulk
+  async archiveNotifications(userId, selection = {}) {
+    try {
+      const filter = {
+        ...this.buildBulkFilter(userId, selection),
+        archivedAt: null,
+      };
+      const ids = await Notification.find(filter).distinct("_id");
+      const now = new Date();
+
+      const result = await Notification.updateMany(
+        { _id: { $in: ids } },
+        { $set: { archivedAt: now } }
+      );
+
+      const unreadCount = await this.broadcastStateChange(
+        userId,
+        "archived",
+        ids,
+        now
+      );
+
+      logger.info("Archived notifications", {
+        userId,
+        count: result.modifiedCount,
+      });
+
+      return {
+        success: true,
+        archived: result.modifiedCount,
+        unreadCount,
+      };
+    } catch (error) {
+      logger.error("Failed to archive notifications:", error);
+      throw error;
+    }
+  }
+
+  // Delete notifications in bulk
+  async deleteNotifications(userId, selection = {}) {
+    try {
+      const filter = this.buildBulkFilter(userId, selection);
+      const ids = await Notification.find(filter).distinct("_id");
+
+      const result = await Notification.deleteMany({ _id: { $in: ids } });
+
+      const unreadCount = await this.broadcastStateChange(
+        userId,
+        "deleted",
+        ids
+      );
+
+      logger.info("Deleted notifications", {
+        userId,
+        count: result.deletedCount,
+      });
+
+      return {
+        success: true,
+        deleted: result.deletedCount,
+        unreadCount,
+      };
+    } catch (error) {
+      logger.error("Failed to delete notifications:", error);
+      throw error;
+    }
+  }
+
+  // Get notification statistics across all channels for a user, with a
+  // daily time series over the last `days` days
+  async getNotificationStats(userId, { days = 30, timezone = "UTC" } = {}) {
     try {
-      // This would typically query the database
-      // For now, return mock data
+      // Start at local midnight so the oldest day of the series is complete
+      const now = new Date();
+      const since = this.getSeriesStart(days, timezone, now);
+
+      const countBy = (field) => [
+        { $group: { _id: field, count: { $sum: 1 } } },
+      ];
+
+      const [facets] = await Notification.aggregate([
+        { $match: { userId } },
+        {
+          $facet: {
+            total: [{ $count: "count" }],
+            byCategory: countBy({
+              $ifNull: ["$metadata.category", "general"],
+            }),
+            byPriority: countBy("$priority"),
+            byChannel: countBy("$type"),
+            byStatus: countBy("$status"),
+            timeSeries: [
+              { $match: { createdAt: { $gte: since } } },
+              {
+                $group: {
+                  _id: {
+                    $dateToString: {
+                      format: "%Y-%m-%d",
+                      date: "$createdAt",
+                      timezone,
+                    },
+                  },
+                  total: { $sum: 1 },
+                  sent: {
+                    $sum: { $cond: [{ $eq: ["$status", "sent"] }, 1, 0] },
+                  },
+                  failed: {
+                    $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] },
+                  },
+                  read: {
+                    $sum: { $cond: [{ $ifNull: ["$readAt", false] }, 1, 0] },
+                  },
+                },
+              },
+            ],
+          },
+        },
+      ]);
+
+      const toMap = (buckets) =>
+        buckets.reduce((acc, curr) => {
+          acc[curr._id] = curr.count;
+          return acc;
+        }, {});
 
       const stats = {
-        total: 0,
-        unread: 0,
-        byCategory: {},
+        total: facets.total.length > 0 ? facets.total[0].count : 0,
+        unread: await Notification.countUnread(userId),
+        byCategory: toMap(facets.byCategory),
         byPriority: {
           high: 0,
           medium: 0,
           low: 0,
+          ...toMap(facets.byPriority),
         },
+        byChannel: toMap(facets.byChannel),
+        byStatus: toMap(facets.byStatus),
+        timeSeries: this.fillTimeSeries(facets.timeSeries, days, timezone, now),
       };
 
       logger.info("Retrieved notification stats", {
         userId,
-        stats,
+        total: stats.total,
+        days,
       });
 
       return stats;
@@ -205,6 +392,91 @@ class InAppService {
       throw error;
     }
   }
+
+  // Dates (YYYY-MM-DD, oldest first) of the last `days` calendar days in the
+  // given timezone, today included. Stepping by calendar day rather than by
+  // 24 hours keeps days that are 23 or 25 hours long around DST changes.
+  getSeriesDates(days, timezone = "UTC", now = new Date()) {
+    // en-CA formats dates as YYYY-MM-DD, matching $dateToString above
+    const today = new Intl.DateTimeFormat("en-CA", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).format(now);
+    const [year, month, day] = today.split("-").map(Number);
+
+    const dates = [];
+    for (let i = days - 1; i >= 0; i--) {
+      dates.push(
+        new Date(Date.UTC(year, month - 1, day - i)).toISOString().slice(0, 10)
+      );
+    }
+    return dates;
+  }
+
+  // Local midnight, in the given timezone, of the oldest of the last `days`
+  // days (today included)
+  getSeriesStart(days, timezone = "UTC", now = new Date()) {
+    const [oldest] = this.getSeriesDates(days, timezone, now);
+    const midnight = Date.parse(`${oldest}T00:00:00Z`);
+
+    // How far the timezone's wall clock is ahead of UTC at an instant
+    const formatter = new Intl.DateTimeFormat("en-GB", {
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+      timeZone: timezone,
+    });
+    const getOffset = (time) => {
+      const parts = Object.fromEntries(
+        formatter
+          .formatToParts(time)
+          .map(({ type, value }) => [type, Number(value)])
+      );
+      const wallClock = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+      );
+      return wallClock - Math.floor(time / 1000) * 1000;
+    };
+
+    // The offset at midnight UTC may differ from the one at local midnight,
+    // so check it again at the first guess. Where the clocks jump past
+    // midnight, the day starts at the jump, which is the guess.
+    const guess = midnight - getOffset(midnight);
+    const offset = getOffset(guess);
+    const start = midnight - offset;
+    return new Date(getOffset(start) === offset ? start : guess);
+  }
+
+  // Return one entry per day (oldest first), with zeros for days that had no
+  // notifications
+  fillTimeSeries(buckets, days, timezone = "UTC", now = new Date()) {
+    const byDate = buckets.reduce((acc, curr) => {
+      acc[curr._id] = curr;
+      return acc;
+    }, {});
+
+    return this.getSeriesDates(days, timezone, now).map((date) => {
+      const bucket = byDate[date] || {};
+      return {
+        date,
+        total: bucket.total || 0,
+        sent: bucket.sent || 0,
+        failed: bucket.failed || 0,
+        read: bucket.read || 0,
+      };
+    });
+  }
 }
 
 module.exports = new InAppService();
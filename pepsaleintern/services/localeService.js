@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const UserPreference = require("../models/UserPreference");
+const logger = require("../utils/logger");
+
+class LocaleService {
+  constructor() {
+    this.defaultLocale = process.env.DEFAULT_LOCALE || "en";
+    this.defaultTimezone = process.env.DEFAULT_TIMEZONE || "UTC";
+    this.catalogs = {};
+    this.loadCatalogs();
+  }
+
+  // Load the built-in strings from locales/<locale>.json
+  loadCatalogs() {
+    const dir = path.join(__dirname, "..", "locales");
+
+    try {
+      fs.readdirSync(dir)
+        .filter((file) => file.endsWith(".json"))
+        .forEach((file) => {
+          this.catalogs[path.basename(file, ".json")] = JSON.parse(
+            fs.readFileSync(path.join(dir, file), "utf8")
+          );
+        });
+    } catch (error) {
+      logger.error("Failed to load locale catalogs:", error);
+    }
+  }
+
+  // Canonical BCP 47 tag, or null if the tag is invalid
+  normalize(locale) {
+    try {
+      return Intl.getCanonicalLocales(locale)[0] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Locales to try in order, e.g. "pt-BR" -> ["pt-BR", "pt", "en"]
+  getFallbackChain(locale, defaultLocale = this.defaultLocale) {
+    const chain = [];
+    const normalized = locale && this.normalize(locale);
+
+    if (normalized) {
+      const parts = normalized.split("-");
+      for (let i = parts.length; i > 0; i--) {
+        chain.push(parts.slice(0, i).join("-"));
+      }
+    }
+
+    chain.push(defaultLocale);
+    return [...new Set(chain)];
+  }
+
+  // Look up a built-in string such as "titles.alert" and fill {{params}}
+  translate(key, locale, params = {}) {
+    for (const candidate of this.getFallbackChain(locale)) {
+      const value = key
+        .split(".")
+        .reduce(
+          (node, part) => (node ? node[part] : undefined),
+          this.catalogs[candidate]
+        );
+
+      if (typeof value === "string") {
+        return value.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+          params[name] !== undefined ? params[name] : match
+        );
+      }
+    }
+
+    return key;
+  }
+
+  // Locale and timezone for a notification: explicit request values first,
+  // then the user's preferences, then the service defaults
+  async resolveForNotification(notification) {
+    let preference = null;
+
+    if (!notification.locale || !notification.timezone) {
+      try {
+        preference = await UserPreference.findOne({
+          userId: notification.userId,
+        });
+      } catch (error) {
+        logger.error("Failed to load user locale preference:", error);
+      }
+    }
+
+    return {
+      locale:
+        notification.locale ||
+        (preference && preference.locale) ||
+        this.defaultLocale,
+      timezone:
+        notification.timezone ||
+        (preference && preference.timezone) ||
+        this.defaultTimezone,
+    };
+  }
+}
+
+module.exports = new LocaleService();
@@ -1,12 +1,52 @@
 const Notification = require("../models/Notification");
+const RecurringSchedule = require("../models/RecurringSchedule");
+const UserPreference = require("../models/UserPreference");
 const emailService = require("./emailService");
 const smsService = require("./smsService");
 const inAppService = require("./inAppService");
+const templateService = require("./templateService");
+const localeService = require("./localeService");
+const dedupeService = require("./dedupeService");
 const logger = require("../utils/logger");
 
+// Record that a notification will not be delivered: dead-letter it, return
+// digest records to the pool and move on to the fallback channel
+const failNotification = async (notification, error, job = null) => {
+  await notification.markAsFailed(error.message);
+
+  // Required lazily: deadLetterService loads queueService, which loads this
+  // module
+  const deadLetterService = require("./deadLetterService");
+  await deadLetterService.record(notification, error, job);
+
+  // The rolled-up records go into the next digest instead
+  if (notification.isDigest) {
+    await Notification.releaseDigest(notification._id);
+  }
+
+  if (notification.fallback && notification.fallback.channels.length) {
+    // Required lazily: notificationService loads queueService, which loads
+    // this module
+    const notificationService = require("./notificationService");
+    await notificationService.triggerFallback(
+      notification,
+      `${notification.type} failed: ${error.message}`
+    );
+  }
+};
+
 // Process notification job
 const processNotification = async (job) => {
   const { notificationId, type } = job.data;
+  // Required lazily: queueService loads this module
+  const {
+    deferNotification,
+    consumeRateLimits,
+    acquireProviderToken,
+    releaseProviderToken,
+    backOffProvider,
+    addFallbackCheck,
+  } = require("./queueService");
 
   try {
     logger.info(`Processing notification: ${notificationId}`, {
@@ -27,6 +67,105 @@ const processNotification = async (job) => {
       return { status: "already_sent" };
     }
 
+    // Scheduled notifications can be cancelled before they fire
+    if (notification.status === "cancelled") {
+      logger.info(`Notification was cancelled: ${notificationId}`);
+      return { status: "cancelled" };
+    }
+
+    // Drop or collapse repeats of an earlier notification
+    if (notification.dedupeKey || notification.collapseKey) {
+      const duplicate = await dedupeService.check(notification);
+      if (duplicate) {
+        logger.info(`Notification ${duplicate.status}: ${notificationId}`, {
+          jobId: job.id,
+          originalId: duplicate.original._id,
+        });
+        return {
+          status: duplicate.status,
+          originalId: duplicate.original._id.toString(),
+        };
+      }
+    }
+
+    // Preferences may have changed since the notification was queued
+    const preference = await UserPreference.findOne({
+      userId: notification.userId,
+    });
+    const suppressionReason =
+      preference &&
+      preference.getSuppressionReason(type, notification.getCategory());
+    if (suppressionReason) {
+      await notification.markAsSuppressed(suppressionReason);
+      logger.info(`Notification suppressed: ${notificationId}`, {
+        jobId: job.id,
+        reason: suppressionReason,
+      });
+      return { status: "suppressed", reason: suppressionReason };
+    }
+
+    // Hold non-urgent notifications until the user's quiet hours end
+    const urgent =
+      notification.priority === "high" || notification.bypassQuietHours;
+    const quietUntil =
+      !urgent && preference && preference.getQuietHoursEnd(type);
+    if (quietUntil) {
+      await deferNotification(notification, quietUntil, "Quiet hours");
+      return { status: "deferred", until: quietUntil };
+    }
+
+    // Resolve the recipient's locale and timezone from the request or their
+    // preferences
+    const { locale, timezone } =
+      await localeService.resolveForNotification(notification);
+    notification.locale = locale;
+    notification.timezone = timezone;
+
+    // Render stored templates at send time
+    if (notification.templateId) {
+      await templateService.renderNotification(notification);
+    }
+
+    // Low-priority notifications wait for the user's next digest
+    if (preference && preference.shouldHoldForDigest(notification)) {
+      await notification.markAsHeld();
+      logger.info(`Notification held for digest: ${notificationId}`, {
+        jobId: job.id,
+        frequency: preference.digest.frequency,
+      });
+      return { status: "held" };
+    }
+
+    // Stay within the provider's send rate (checked before the user's limits
+    // so a wait does not use up their quota); waiting does not use an attempt
+    const wait = await acquireProviderToken(type);
+    if (wait > 0) {
+      const until = new Date(Date.now() + wait);
+      await deferNotification(notification, until, `${type} provider rate`);
+      return { status: "deferred", until };
+    }
+
+    // Per-recipient, user, category and channel rate limits
+    const limited = await consumeRateLimits(notification);
+    if (limited) {
+      logger.warn(`Notification rate limited: ${notificationId}`, {
+        jobId: job.id,
+        policy: limited.policy,
+        reason: limited.reason,
+      });
+
+      // The provider token goes unused
+      await releaseProviderToken(type);
+
+      if (limited.policy === "drop") {
+        await notification.markAsSuppressed(limited.reason);
+        return { status: "suppressed", reason: limited.reason };
+      }
+
+      await deferNotification(notification, limited.retryAt, limited.reason);
+      return { status: "deferred", until: limited.retryAt };
+    }
+
     // Update attempts
     await notification.incrementAttempts();
 
@@ -46,9 +185,32 @@ const processNotification = async (job) => {
         throw new Error(`Unknown notification type: ${type}`);
     }
 
+    // Keep the provider's ID to match delivery callbacks
+    if (result && (result.messageSid || result.messageId)) {
+      notification.providerMessageId = result.messageSid || result.messageId;
+    }
+
     // Mark as sent
     await notification.markAsSent();
 
+    // A sent digest delivers every record rolled up into it
+    if (notification.isDigest) {
+      await Notification.markDigestDelivered(notification._id);
+    }
+
+    // Fall back to the next channel if delivery is not confirmed in time.
+    // Channels that never confirm only fall back on failure.
+    if (notification.needsFallbackCheck()) {
+      await addFallbackCheck(notification);
+    }
+
+    // Status callbacks can arrive before the SID above was stored
+    if (type === "sms" && notification.providerMessageId) {
+      // Required lazily: twilioWebhookService loads this module
+      const twilioWebhookService = require("./twilioWebhookService");
+      await twilioWebhookService.applyPendingEvents(notification);
+    }
+
     logger.info(`Notification sent successfully: ${notificationId}`, {
       jobId: job.id,
       type,
@@ -66,12 +228,58 @@ const processNotification = async (job) => {
       attempts: job.attemptsMade + 1,
     });
 
+    // Provider throttling is not the notification's fault: back off and
+    // requeue without using up the attempt
+    const throttled =
+      (type === "sms" && smsService.isRateLimitError(error)) ||
+      (type === "email" && emailService.isRateLimitError(error));
+    if (throttled) {
+      try {
+        const backoff = await backOffProvider(type);
+        const notification = await Notification.findById(notificationId);
+        notification.attempts = Math.max(0, notification.attempts - 1);
+        const until = new Date(Date.now() + backoff);
+        await deferNotification(notification, until, `${type} provider 429`);
+        return { status: "deferred", until };
+      } catch (requeueError) {
+        logger.error(
+          `Failed to requeue throttled notification ${notificationId}:`,
+          requeueError
+        );
+      }
+    }
+
+    // The provider refused an opted-out recipient: not a delivery failure
+    if (error.suppressed) {
+      try {
+        const notification = await Notification.findById(notificationId);
+        await notification.markAsSuppressed(error.message);
+        return { status: "suppressed", reason: error.message };
+      } catch (updateError) {
+        logger.error(
+          `Failed to update notification ${notificationId} status:`,
+          updateError
+        );
+      }
+    }
+
+    // Retrying will not fix a bad number or a rejected mailbox
+    const permanent =
+      (type === "sms" && smsService.isPermanentError(error)) ||
+      (type === "email" && emailService.isPermanentError(error));
+    if (permanent) {
+      job.discard();
+    }
+
     // Update notification with error
     try {
       const notification = await Notification.findById(notificationId);
-      if (notification && job.attemptsMade + 1 >= job.opts.attempts) {
+      if (
+        notification &&
+        (permanent || job.attemptsMade + 1 >= job.opts.attempts)
+      ) {
         // Final attempt failed
-        await notification.markAsFailed(error.message);
+        await failNotification(notification, error, job);
       }
     } catch (updateError) {
       logger.error(
@@ -84,6 +292,121 @@ const processNotification = async (job) => {
   }
 };
 
+// Create and queue a fresh notification for one firing of a recurring schedule
+const processRecurringSchedule = async (job) => {
+  const { scheduleId } = job.data;
+  // Required lazily: queueService loads this module
+  const { addToQueue } = require("./queueService");
+
+  try {
+    const schedule = await RecurringSchedule.findById(scheduleId);
+    if (!schedule || schedule.status !== "active") {
+      logger.warn(`Skipping inactive recurring schedule: ${scheduleId}`, {
+        jobId: job.id,
+      });
+      return { status: "skipped" };
+    }
+
+    const notification = schedule.buildNotification();
+    await notification.save();
+
+    const notificationJob = await addToQueue(
+      notification,
+      notification.priority
+    );
+    notification.jobId = notificationJob.id;
+    notification.status = "queued";
+    await notification.save();
+
+    schedule.runCount += 1;
+    schedule.lastRunAt = new Date();
+    schedule.nextRunAt = schedule.getNextRun();
+    schedule.lastNotificationId = notification._id;
+    await schedule.save();
+
+    logger.info(`Recurring schedule fired: ${scheduleId}`, {
+      jobId: job.id,
+      notificationId: notification._id,
+      runCount: schedule.runCount,
+    });
+
+    return {
+      status: "queued",
+      scheduleId,
+      notificationId: notification._id.toString(),
+    };
+  } catch (error) {
+    logger.error(`Failed to process recurring schedule ${scheduleId}:`, error, {
+      jobId: job.id,
+    });
+    throw error;
+  }
+};
+
+// Fall back to the next channel when a sent notification was never confirmed
+const processFallbackCheck = async (job) => {
+  const { notificationId } = job.data;
+
+  try {
+    const notification = await Notification.findById(notificationId);
+    if (!notification) {
+      return { status: "not_found" };
+    }
+
+    if (
+      notification.isDeliveryConfirmed() ||
+      notification.fallback.nextNotificationId
+    ) {
+      return { status: "confirmed" };
+    }
+
+    // Required lazily: notificationService loads queueService, which loads
+    // this module
+    const notificationService = require("./notificationService");
+    const next = await notificationService.triggerFallback(
+      notification,
+      `${notification.type} not confirmed within ${notification.fallback.timeout}ms`
+    );
+
+    return {
+      status: next ? "fallback_triggered" : "fallback_exhausted",
+      nextNotificationId: next ? next._id.toString() : undefined,
+    };
+  } catch (error) {
+    logger.error(`Failed to check fallback for ${notificationId}:`, error, {
+      jobId: job.id,
+    });
+    throw error;
+  }
+};
+
+// Send the digests that are due
+const processDigestFlush = async (job) => {
+  // Required lazily: digestService loads notificationService, which loads
+  // queueService, which loads this module
+  const digestService = require("./digestService");
+
+  try {
+    const digests = await digestService.flushDue();
+
+    if (digests.length > 0) {
+      logger.info(`Digests flushed: ${digests.length}`, { jobId: job.id });
+    }
+
+    return {
+      status: "flushed",
+      digestIds: digests.map((digest) => digest._id.toString()),
+    };
+  } catch (error) {
+    logger.error("Failed to flush digests:", error, { jobId: job.id });
+    throw error;
+  }
+};
+
 module.exports = {
+  failNotification,
   processNotification,
+  processRecurringSchedule,
+  processFallbackCheck,
+  processDigestFlush,
 };
@@ -0,0 +1,262 @@
+const Notification = require("../models/Notification");
+const Message = require("../models/Message");
+const Template = require("../models/Template");
+const UserPreference = require("../models/UserPreference");
+const { addToQueue } = require("./queueService");
+const templateService = require("./templateService");
+const logger = require("../utils/logger");
+
+const ALL_CHANNELS = ["email", "sms", "in-app"];
+
+class NotificationService {
+  // Load a template and check it can render every requested channel
+  async prepareTemplate(templateId, types, variables = {}) {
+    const template = await Template.findOne({
+      _id: templateId,
+      kind: "template",
+    });
+
+    if (!template) {
+      return { template: null, problems: ["Template not found"] };
+    }
+
+    const problems = types.flatMap((type) =>
+      templateService.validate(template, type, variables)
+    );
+
+    return { template, problems: [...new Set(problems)] };
+  }
+
+  // Create a notification and add it to the queue. Notifications the user's
+  // preferences rule out are stored as "suppressed" and not queued (job is
+  // null).
+  async createNotification(data, template = null) {
+    const notification = new Notification({
+      userId: data.userId,
+      type: data.type,
+      subject: data.subject,
+      message: data.message,
+      recipient: data.recipient,
+      priority: data.priority,
+      metadata: data.metadata,
+      templateId: template ? template._id : undefined,
+      templateVersion: template ? template.version : undefined,
+      // Collapsible templates can show how many notifications were combined
+      variables: template
+        ? { ...(data.collapseKey && { count: 1 }), ...data.variables }
+        : undefined,
+      locale: data.locale,
+      timezone: data.timezone,
+      scheduledAt: data.scheduledAt,
+      bypassQuietHours: data.bypassQuietHours,
+      messageId: data.messageId,
+      fallback: data.fallback,
+      isDigest: data.isDigest,
+      dedupeKey: data.dedupeKey,
+      collapseKey: data.collapseKey,
+      dedupeWindow: data.dedupeWindow,
+      status: "pending",
+    });
+
+    await notification.save();
+
+    // Honour the user's channel and category preferences
+    const suppressionReason =
+      await UserPreference.getSuppressionReason(notification);
+    if (suppressionReason) {
+      await notification.markAsSuppressed(suppressionReason);
+
+      logger.info(`Notification suppressed: ${notification._id}`, {
+        userId: notification.userId,
+        type: notification.type,
+        reason: suppressionReason,
+      });
+
+      return { notification, job: null };
+    }
+
+    // Add to queue for processing
+    const job = await addToQueue(notification, notification.priority);
+
+    // Update notification with job ID
+    notification.jobId = job.id;
+    notification.status = notification.scheduledAt ? "scheduled" : "queued";
+    await notification.save();
+
+    logger.info(
+      `Notification created and ${notification.status}: ${notification._id}`,
+      {
+        userId: notification.userId,
+        type: notification.type,
+        priority: notification.priority,
+        jobId: job.id,
+        scheduledAt: notification.scheduledAt,
+        messageId: notification.messageId,
+      }
+    );
+
+    return { notification, job };
+  }
+
+  // Work out which channels a fan-out request goes to and the recipient on
+  // each: explicit recipients win over the addresses in the user's
+  // preferences. "all" silently skips channels the user has disabled or has
+  // no address for; an explicit list keeps disabled channels (they are
+  // recorded as suppressed) and reports missing addresses as problems.
+  async resolveChannels(userId, channels, recipients = {}) {
+    const preference = await UserPreference.findOne({ userId });
+    const requestedAll = channels === "all";
+    const requested = requestedAll ? ALL_CHANNELS : [...new Set(channels)];
+
+    const targets = [];
+    const problems = [];
+
+    requested.forEach((type) => {
+      if (requestedAll && preference && !preference.isChannelEnabled(type)) {
+        return;
+      }
+
+      const recipient =
+        type === "in-app"
+          ? undefined
+          : recipients[type] || (preference && preference.getAddress(type));
+
+      if (type !== "in-app" && !recipient) {
+        if (!requestedAll) problems.push(`No recipient for ${type}`);
+        return;
+      }
+
+      targets.push({ type, recipient });
+    });
+
+    if (targets.length === 0 && problems.length === 0) {
+      problems.push("User has no enabled channels with an address");
+    }
+
+    return { targets, problems };
+  }
+
+  // Create a parent message and one queued notification per channel
+  async createMessage(data, targets, template = null) {
+    const message = new Message({
+      userId: data.userId,
+      requestedChannels: data.channels,
+      channels: targets.map((target) => target.type),
+      subject: data.subject,
+      message: data.message,
+      templateId: template ? template._id : undefined,
+      priority: data.priority,
+      metadata: data.metadata,
+    });
+
+    await message.save();
+
+    const results = [];
+    for (const target of targets) {
+      results.push(
+        await this.createNotification(
+          {
+            ...data,
+            type: target.type,
+            recipient: target.recipient,
+            messageId: message._id,
+          },
+          template
+        )
+      );
+    }
+
+    message.notifications = results.map(({ notification }) => notification._id);
+    await message.save();
+
+    logger.info(`Message fanned out: ${message._id}`, {
+      userId: message.userId,
+      channels: message.channels,
+    });
+
+    return { message, results };
+  }
+
+  // Queue the next channel of a notification's fallback chain. Channels the
+  // user has disabled or has no address for are skipped.
+  async triggerFallback(notification, reason) {
+    const { fallback } = notification;
+    if (!fallback || fallback.nextNotificationId) {
+      return null;
+    }
+
+    const remaining = [...(fallback.channels || [])];
+    const skipped = [];
+
+    while (remaining.length > 0) {
+      const type = remaining.shift();
+      const { targets } = await this.resolveChannels(
+        notification.userId,
+        [type],
+        fallback.recipients || {}
+      );
+
+      if (targets.length === 0) {
+        skipped.push(type);
+        continue;
+      }
+
+      const template = notification.templateId
+        ? await Template.findById(notification.templateId)
+        : null;
+
+      const { notification: next, job } = await this.createNotification(
+        {
+          userId: notification.userId,
+          type,
+          recipient: targets[0].recipient,
+          subject: notification.subject,
+          message: notification.message,
+          priority: notification.priority,
+          metadata: notification.metadata,
+          variables: notification.variables,
+          locale: notification.locale,
+          timezone: notification.timezone,
+          bypassQuietHours: notification.bypassQuietHours,
+          messageId: notification.messageId,
+          fallback: {
+            channels: remaining,
+            timeout: fallback.timeout,
+            recipients: fallback.recipients,
+            rootNotificationId: fallback.rootNotificationId || notification._id,
+            previousNotificationId: notification._id,
+          },
+        },
+        template
+      );
+
+      notification.fallback.nextNotificationId = next._id;
+      notification.fallback.triggeredAt = new Date();
+      notification.fallback.reason = skipped.length
+        ? `${reason} (skipped ${skipped.join(", ")})`
+        : reason;
+      await notification.save();
+
+      logger.info(`Fallback triggered: ${notification._id} -> ${next._id}`, {
+        from: notification.type,
+        to: type,
+        reason,
+      });
+
+      // A suppressed fallback moves straight on to the next channel
+      if (!job) {
+        return this.triggerFallback(next, next.suppressionReason);
+      }
+
+      return next;
+    }
+
+    logger.warn(`Fallback chain exhausted: ${notification._id}`, {
+      reason,
+      skipped,
+    });
+    return null;
+  }
+}
+
+module.exports = new NotificationService();
@@ -1,12 +1,32 @@
 const Queue = require("bull");
 const Redis = require("redis");
 const logger = require("../utils/logger");
-const { processNotification } = require("./notificationProcessor");
+const rateLimits = require("../config/rateLimits");
+const providerLimits = require("../config/providerLimits");
+const {
+  processNotification,
+  processRecurringSchedule,
+  processFallbackCheck,
+  processDigestFlush,
+} = require("./notificationProcessor");
 
-let notificationQueue;
+const queueConfig = require("../config/queues");
+
+// The system queue keeps the original queue name so repeatable jobs and
+// jobs queued before the per-channel split are still processed
+const SYSTEM_QUEUE = "system";
+const QUEUE_NAMES = { [SYSTEM_QUEUE]: "notification processing" };
+
+let queues = {};
 let redisClient;
 
-// Initialize queue
+// Queue a notification is sent through
+const getQueueName = (type, priority) =>
+  queueConfig.priorityTiers && priority === "high" ? `${type}:high` : type;
+
+const getQueue = (name = SYSTEM_QUEUE) => queues[name];
+
+// Initialize queues
 const initQueue = async () => {
   try {
     // Redis connection configuration
@@ -21,40 +41,75 @@ const initQueue = async () => {
     redisClient = Redis.createClient(redisConfig);
     await redisClient.connect();
 
-    // Create Bull queue
-    notificationQueue = new Queue("notification processing", {
-      redis: redisConfig,
-      defaultJobOptions: {
-        removeOnComplete: 100, // Keep last 100 completed jobs
-        removeOnFail: 50, // Keep last 50 failed jobs
-        attempts: 3,
-        backoff: {
-          type: "exponential",
-          delay: 2000,
+    // Create a Bull queue with its own retry policy and event listeners
+    const createQueue = (name, { attempts, backoff }) => {
+      const queue = new Queue(QUEUE_NAMES[name] || `notification ${name}`, {
+        redis: redisConfig,
+        defaultJobOptions: {
+          removeOnComplete: 100, // Keep last 100 completed jobs
+          removeOnFail: 50, // Keep last 50 failed jobs
+          attempts,
+          backoff,
         },
-      },
-    });
+      });
 
-    // Process jobs
-    notificationQueue.process(5, processNotification); // Process up to 5 jobs concurrently
+      queue.on("completed", (job, result) => {
+        logger.info(`Job completed: ${job.id}`, {
+          queue: name,
+          jobId: job.id,
+          result,
+        });
+      });
 
-    // Event listeners
-    notificationQueue.on("completed", (job, result) => {
-      logger.info(`Job completed: ${job.id}`, { jobId: job.id, result });
-    });
+      queue.on("failed", (job, err) => {
+        logger.error(`Job failed: ${job.id}`, {
+          queue: name,
+          jobId: job.id,
+          error: err.message,
+        });
+      });
 
-    notificationQueue.on("failed", (job, err) => {
-      logger.error(`Job failed: ${job.id}`, {
-        jobId: job.id,
-        error: err.message,
+      queue.on("stalled", (job) => {
+        logger.warn(`Job stalled: ${job.id}`, { queue: name, jobId: job.id });
       });
-    });
 
-    notificationQueue.on("stalled", (job) => {
-      logger.warn(`Job stalled: ${job.id}`, { jobId: job.id });
+      queues[name] = queue;
+      return queue;
+    };
+
+    // One queue per channel (and priority tier), each with its own
+    // concurrency
+    Object.entries(queueConfig.channels).forEach(([type, options]) => {
+      const names = queueConfig.priorityTiers ? [type, `${type}:high`] : [type];
+      names.forEach((name) => {
+        createQueue(name, options).process(
+          "send-notification",
+          options.concurrency,
+          processNotification
+        );
+      });
     });
 
-    logger.info("Queue initialized successfully");
+    const systemQueue = createQueue(SYSTEM_QUEUE, queueConfig.system);
+    systemQueue.process("recurring-notification", 1, processRecurringSchedule);
+    systemQueue.process("fallback-check", 1, processFallbackCheck);
+    systemQueue.process("digest-flush", 1, processDigestFlush);
+    // Sends queued before the per-channel split
+    systemQueue.process("send-notification", 1, processNotification);
+
+    // Check for due digests on a fixed schedule (hourly by default)
+    await systemQueue.add(
+      "digest-flush",
+      {},
+      {
+        repeat: { cron: process.env.DIGEST_FLUSH_CRON || "0 * * * *" },
+        jobId: "digest-flush",
+      }
+    );
+
+    logger.info("Queues initialized successfully", {
+      queues: Object.keys(queues),
+    });
   } catch (error) {
     logger.error("Failed to initialize queue:", error);
     throw error;
@@ -70,7 +125,15 @@ const addToQueue = async (notification, priority = "medium") => {
       high: 3,
     };
 
-    const job = await notificationQueue.add(
+    // Scheduled notifications become delayed jobs
+    const delay = notification.scheduledAt
+      ? Math.max(0, new Date(notification.scheduledAt).getTime() - Date.now())
+      : 0;
+
+    // The caller saves the notification along with the job ID
+    notification.queueName = getQueueName(notification.type, priority);
+
+    const job = await getQueue(notification.queueName).add(
       "send-notification",
       {
         notificationId: notification._id.toString(),
@@ -83,15 +146,18 @@ const addToQueue = async (notification, priority = "medium") => {
       },
       {
         priority: priorityMap[priority] || 2,
-        delay: 0, // Send immediately, add delay if needed
-        attempts: notification.maxAttempts,
+        delay,
+        // Deferred notifications keep only the attempts they have left
+        attempts: Math.max(1, notification.maxAttempts - notification.attempts),
       }
     );
 
     logger.info(`Notification added to queue: ${notification._id}`, {
+      queue: notification.queueName,
       jobId: job.id,
       priority,
       type: notification.type,
+      delay,
     });
 
     return job;
@@ -101,36 +167,344 @@ const addToQueue = async (notification, priority = "medium") => {
   }
 };
 
-// Get queue status and statistics
-const getQueueStatus = async () => {
+// Postpone a notification the worker picked up but should not send yet. The
+// new delayed job gets the attempts the notification has left; deferring
+// does not use one, since attempts are only counted when a send is tried.
+const deferNotification = async (notification, until, reason) => {
   try {
-    const waiting = await notificationQueue.getWaiting();
-    const active = await notificationQueue.getActive();
-    const completed = await notificationQueue.getCompleted();
-    const failed = await notificationQueue.getFailed();
-    const delayed = await notificationQueue.getDelayed();
+    notification.scheduledAt = until;
+    notification.deferredUntil = until;
+    notification.deferralReason = reason;
 
-    return {
-      waiting: waiting.length,
-      active: active.length,
-      completed: completed.length,
-      failed: failed.length,
-      delayed: delayed.length,
-      paused: await notificationQueue.isPaused(),
+    const job = await addToQueue(notification, notification.priority);
+    notification.jobId = job.id;
+    notification.status = "scheduled";
+    await notification.save();
+
+    logger.info(`Notification deferred: ${notification._id}`, {
+      jobId: job.id,
+      until,
+      reason,
+    });
+
+    return job;
+  } catch (error) {
+    logger.error("Failed to defer notification:", error);
+    throw error;
+  }
+};
+
+// What a rate limit rule counts a notification against
+const getRateLimitSubject = (rule, notification) => {
+  switch (rule.scope) {
+    case "recipient":
+      return notification.recipient;
+    case "user":
+      return notification.userId;
+    case "category":
+      return `${notification.userId}:${notification.getCategory()}`;
+    case "channel":
+      return "all";
+    default:
+      return null;
+  }
+};
+
+// Count a notification against the rate limits that apply to it. Returns
+// null when it may be sent, otherwise the rule it exceeds and when that
+// rule's window ends. A notification over any limit is not counted at all.
+const consumeRateLimits = async (notification) => {
+  const category = notification.getCategory();
+  const rules = rateLimits.filter(
+    (rule) =>
+      (!rule.channel || rule.channel === notification.type) &&
+      (!rule.category || rule.category === category)
+  );
+
+  const counted = [];
+  try {
+    for (const rule of rules) {
+      const subject = getRateLimitSubject(rule, notification);
+      if (!subject) continue;
+
+      // Fixed windows aligned to the window length
+      const windowMs = rule.window * 1000;
+      const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+      const key = [
+        "ratelimit",
+        rule.scope,
+        rule.channel || "any",
+        rule.category || "any",
+        rule.window,
+        subject,
+        windowStart,
+      ].join(":");
+
+      const [count] = await redisClient
+        .multi()
+        .incr(key)
+        .pExpire(key, windowMs)
+        .exec();
+      counted.push(key);
+
+      if (count > rule.limit) {
+        await Promise.all(counted.map((counter) => redisClient.decr(counter)));
+
+        return {
+          rule,
+          policy: rule.policy || "defer",
+          retryAt: new Date(windowStart + windowMs),
+          reason: `Rate limit exceeded: ${rule.limit} ${
+            rule.channel || "notifications"
+          } per ${rule.scope} per ${rule.window}s`,
+        };
+      }
+    }
+
+    return null;
+  } catch (error) {
+    logger.error("Failed to check rate limits:", error);
+    throw error;
+  }
+};
+
+// Token bucket shared by all workers. KEYS: bucket, backoff pause.
+// ARGV: rate, interval, burst, now. Returns ms to wait, 0 when a token was
+// taken.
+const TOKEN_BUCKET_SCRIPT = `
+local paused = redis.call("PTTL", KEYS[2])
+if paused > 0 then
+  return paused
+end
+
+local rate = tonumber(ARGV[1])
+local interval = tonumber(ARGV[2])
+local burst = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+
+local bucket = redis.call("HMGET", KEYS[1], "tokens", "updated")
+local tokens = tonumber(bucket[1]) or burst
+local updated = tonumber(bucket[2]) or now
+tokens = math.min(burst, tokens + math.max(0, now - updated) * rate / interval)
+
+local wait = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+else
+  wait = math.ceil((1 - tokens) * interval / rate)
+end
+
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "updated", now)
+redis.call("PEXPIRE", KEYS[1], math.ceil(burst * interval / rate) + interval)
+return wait
+`;
+
+// Take a send token for a channel's provider. Returns how many ms to wait
+// before trying again, or 0 when the send may go ahead.
+const acquireProviderToken = async (type) => {
+  const limit = providerLimits[type];
+  if (!limit || !limit.rate) {
+    return 0;
+  }
+
+  try {
+    return await redisClient.eval(TOKEN_BUCKET_SCRIPT, {
+      keys: [
+        `provider:${limit.provider}:bucket`,
+        `provider:${limit.provider}:paused`,
+      ],
+      arguments: [
+        String(limit.rate),
+        String(limit.interval),
+        String(limit.burst || limit.rate),
+        String(Date.now()),
+      ],
+    });
+  } catch (error) {
+    logger.error(`Failed to acquire ${limit.provider} send token:`, error);
+    throw error;
+  }
+};
+
+// Put back a token taken by acquireProviderToken when the send did not go
+// ahead, without going over the burst
+const RELEASE_TOKEN_SCRIPT = `
+local tokens = tonumber(redis.call("HGET", KEYS[1], "tokens"))
+if tokens then
+  local burst = tonumber(ARGV[1])
+  redis.call("HSET", KEYS[1], "tokens", tostring(math.min(burst, tokens + 1)))
+end
+return 0
+`;
+
+const releaseProviderToken = async (type) => {
+  const limit = providerLimits[type];
+  if (!limit || !limit.rate) {
+    return;
+  }
+
+  try {
+    await redisClient.eval(RELEASE_TOKEN_SCRIPT, {
+      keys: [`provider:${limit.provider}:bucket`],
+      arguments: [String(limit.burst || limit.rate)],
+    });
+  } catch (error) {
+    // Losing one token only slows the next send down
+    logger.error(`Failed to release ${limit.provider} send token:`, error);
+  }
+};
+
+// Pause a channel's provider after it throttled us. The pause doubles on
+// every repeat and resets once the provider has been quiet for a while.
+// Returns the pause in ms.
+const backOffProvider = async (type) => {
+  const { provider } = providerLimits[type] || { provider: type };
+  const { initial, max } = providerLimits.backoff;
+  const levelKey = `provider:${provider}:backoff`;
+
+  try {
+    const previous = parseInt(await redisClient.get(levelKey)) || 0;
+    const backoff = previous ? Math.min(max, previous * 2) : initial;
+
+    await redisClient
+      .multi()
+      .set(levelKey, String(backoff), { PX: backoff * 4 })
+      .set(`provider:${provider}:paused`, "1", { PX: backoff })
+      .exec();
+
+    logger.warn(`Provider ${provider} throttled, backing off`, { backoff });
+    return backoff;
+  } catch (error) {
+    logger.error(`Failed to back off provider ${provider}:`, error);
+    throw error;
+  }
+};
+
+// Check for delivery confirmation once a notification's fallback timeout ends
+const addFallbackCheck = async (notification) => {
+  try {
+    const job = await getQueue().add(
+      "fallback-check",
+      {
+        notificationId: notification._id.toString(),
+      },
+      {
+        delay: notification.fallback.timeout,
+        jobId: `fallback-${notification._id}`,
+      }
+    );
+
+    logger.info(`Fallback check scheduled: ${notification._id}`, {
+      jobId: job.id,
+      delay: notification.fallback.timeout,
+    });
+
+    return job;
+  } catch (error) {
+    logger.error("Failed to schedule fallback check:", error);
+    throw error;
+  }
+};
+
+// Register a recurring schedule as a Bull repeatable job
+const addRecurringJob = async (schedule) => {
+  try {
+    const job = await getQueue().add(
+      "recurring-notification",
+      {
+        scheduleId: schedule._id.toString(),
+      },
+      {
+        repeat: {
+          cron: schedule.cron,
+          tz: schedule.timezone,
+        },
+        jobId: `schedule-${schedule._id}`,
+      }
+    );
+
+    logger.info(`Recurring schedule registered: ${schedule._id}`, {
+      cron: schedule.cron,
+      timezone: schedule.timezone,
+    });
+
+    return job.opts.repeat.key;
+  } catch (error) {
+    logger.error("Failed to register recurring schedule:", error);
+    throw error;
+  }
+};
+
+// Remove a recurring schedule's repeatable job
+const removeRecurringJob = async (repeatJobKey) => {
+  try {
+    await getQueue().removeRepeatableByKey(repeatJobKey);
+    logger.info(`Recurring job removed: ${repeatJobKey}`);
+  } catch (error) {
+    logger.error(`Failed to remove recurring job ${repeatJobKey}:`, error);
+    throw error;
+  }
+};
+
+// Job counts of one queue
+const getStatus = async (queue) => {
+  const counts = await queue.getJobCounts();
+  return {
+    waiting: counts.waiting,
+    active: counts.active,
+    completed: counts.completed,
+    failed: counts.failed,
+    delayed: counts.delayed,
+    paused: await queue.isPaused(),
+  };
+};
+
+// Get status and statistics of every queue, with totals across them
+const getQueueStatus = async () => {
+  try {
+    const status = {
+      waiting: 0,
+      active: 0,
+      completed: 0,
+      failed: 0,
+      delayed: 0,
+      paused: true,
+      queues: {},
     };
+
+    for (const [name, queue] of Object.entries(queues)) {
+      const queueStatus = await getStatus(queue);
+      status.queues[name] = queueStatus;
+
+      ["waiting", "active", "completed", "failed", "delayed"].forEach(
+        (state) => {
+          status[state] += queueStatus[state];
+        }
+      );
+      status.paused = status.paused && queueStatus.paused;
+    }
+
+    return status;
   } catch (error) {
     logger.error("Failed to get queue status:", error);
     throw error;
   }
 };
 
-// Retry failed job
-const retryFailedJob = async (jobId) => {
+// Queues an operation applies to: one by name, or all of them
+const selectQueues = (name) => {
+  if (!name) return Object.entries(queues);
+  if (!queues[name]) throw new Error(`Unknown queue: ${name}`);
+  return [[name, queues[name]]];
+};
+
+// Retry a failed job, including one that used up its attempts
+const retryFailedJob = async (jobId, queueName = SYSTEM_QUEUE) => {
   try {
-    const job = await notificationQueue.getJob(jobId);
-    if (job && job.opts.attempts > job.attemptsMade) {
+    const job = await getQueue(queueName).getJob(jobId);
+    if (job && (await job.isFailed())) {
       await job.retry();
-      logger.info(`Job retried: ${jobId}`);
+      logger.info(`Job retried: ${jobId}`, { queue: queueName });
       return true;
     }
     return false;
@@ -140,33 +514,133 @@ const retryFailedJob = async (jobId) => {
   }
 };
 
-// Clean old jobs
-const cleanQueue = async (grace = 24 * 60 * 60 * 1000) => {
+// Remove a job that has not started yet (e.g. a cancelled scheduled send).
+// Returns "removed", "missing" when there is no such job, or "locked" when it
+// is running or done. Notifications queued before the per-channel split have
+// no queue name and live in the system queue.
+const removeJob = async (jobId, queueName = SYSTEM_QUEUE) => {
+  try {
+    const job = await getQueue(queueName).getJob(jobId);
+    if (!job) {
+      return "missing";
+    }
+
+    const state = await job.getState();
+    if (state === "active" || state === "completed") {
+      return "locked";
+    }
+
+    await job.remove();
+    logger.info(`Job removed: ${jobId}`, { queue: queueName, state });
+    return "removed";
+  } catch (error) {
+    logger.error(`Failed to remove job ${jobId}:`, error);
+    throw error;
+  }
+};
+
+// Page through a queue's jobs in one state, newest first
+const getJobs = async (queueName, state, start = 0, end = 19) => {
+  try {
+    const queue = getQueue(queueName);
+    const [jobs, counts] = await Promise.all([
+      queue.getJobs([state], start, end),
+      queue.getJobCounts(),
+    ]);
+
+    return { jobs: jobs.filter(Boolean), total: counts[state] || 0 };
+  } catch (error) {
+    logger.error(`Failed to list ${state} jobs of ${queueName}:`, error);
+    throw error;
+  }
+};
+
+// A job with its state and log lines, or null if it does not exist
+const getJobDetails = async (queueName, jobId) => {
+  try {
+    const queue = getQueue(queueName);
+    const job = await queue.getJob(jobId);
+    if (!job) {
+      return null;
+    }
+
+    const [state, logs] = await Promise.all([
+      job.getState(),
+      queue.getJobLogs(jobId),
+    ]);
+
+    return {
+      id: job.id,
+      name: job.name,
+      state,
+      data: job.data,
+      opts: job.opts,
+      progress: job.progress(),
+      attemptsMade: job.attemptsMade,
+      failedReason: job.failedReason,
+      stacktrace: job.stacktrace,
+      returnvalue: job.returnvalue,
+      timestamp: job.timestamp,
+      processedOn: job.processedOn,
+      finishedOn: job.finishedOn,
+      logs: logs.logs,
+    };
+  } catch (error) {
+    logger.error(`Failed to get job ${jobId} of ${queueName}:`, error);
+    throw error;
+  }
+};
+
+// Run a delayed job now
+const promoteJob = async (jobId, queueName = SYSTEM_QUEUE) => {
   try {
-    await notificationQueue.clean(grace, "completed");
-    await notificationQueue.clean(grace, "failed");
-    logger.info("Queue cleaned successfully");
+    const job = await getQueue(queueName).getJob(jobId);
+    if (!job || !(await job.isDelayed())) {
+      return false;
+    }
+
+    await job.promote();
+    logger.info(`Job promoted: ${jobId}`, { queue: queueName });
+    return true;
+  } catch (error) {
+    logger.error(`Failed to promote job ${jobId}:`, error);
+    throw error;
+  }
+};
+
+// Clean old jobs from one queue or all of them
+const cleanQueue = async (grace = 24 * 60 * 60 * 1000, name) => {
+  try {
+    for (const [, queue] of selectQueues(name)) {
+      await queue.clean(grace, "completed");
+      await queue.clean(grace, "failed");
+    }
+    logger.info("Queue cleaned successfully", { queue: name || "all" });
   } catch (error) {
     logger.error("Failed to clean queue:", error);
     throw error;
   }
 };
 
-// Pause/Resume queue
-const pauseQueue = async () => {
-  await notificationQueue.pause();
-  logger.info("Queue paused");
+// Pause/Resume one queue or all of them
+const pauseQueue = async (name) => {
+  for (const [, queue] of selectQueues(name)) {
+    await queue.pause();
+  }
+  logger.info("Queue paused", { queue: name || "all" });
 };
 
-const resumeQueue = async () => {
-  await notificationQueue.resume();
-  logger.info("Queue resumed");
+const resumeQueue = async (name) => {
+  for (const [, queue] of selectQueues(name)) {
+    await queue.resume();
+  }
+  logger.info("Queue resumed", { queue: name || "all" });
 };
 
 // Graceful shutdown
 const shutdownQueue = async () => {
   try {
-    await notificationQueue.close();
+    await Promise.all(Object.values(queues).map((queue) => queue.close()));
     await redisClient.disconnect();
     logger.info("Queue shut down gracefully");
   } catch (error) {
@@ -177,11 +651,25 @@ const shutdownQueue = async () => {
 module.exports = {
   initQueue,
   addToQueue,
+  deferNotification,
+  consumeRateLimits,
+  acquireProviderToken,
+  releaseProviderToken,
+  backOffProvider,
+  addFallbackCheck,
+  addRecurringJob,
+  removeRecurringJob,
   getQueueStatus,
   retryFailedJob,
+  removeJob,
+  getJobs,
+  getJobDetails,
+  promoteJob,
   cleanQueue,
   pauseQueue,
   resumeQueue,
   shutdownQueue,
-  getQueue: () => notificationQueue,
+  getQueueName,
+  getQueue,
+  getQueues: () => queues,
 };
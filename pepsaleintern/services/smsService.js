@@ -1,4 +1,5 @@
 const twilio = require("twilio");
+const Suppression = require("../models/Suppression");
 const logger = require("../utils/logger");
 
 class SMSService {
@@ -36,7 +37,17 @@ class SMSService {
 
       // Validate phone number format (basic validation)
       if (!this.isValidPhoneNumber(recipient)) {
-        throw new Error(`Invalid phone number format: ${recipient}`);
+        const error = new Error(`Invalid phone number format: ${recipient}`);
+        error.permanent = true;
+        throw error;
+      }
+
+      // Numbers that replied STOP must not be messaged again
+      if (await Suppression.isSuppressed("sms", recipient)) {
+        const error = new Error(`Recipient has opted out of SMS: ${recipient}`);
+        error.permanent = true;
+        error.suppressed = true;
+        throw error;
       }
 
       // Prepare SMS options
@@ -46,6 +57,11 @@ class SMSService {
         to: recipient,
       };
 
+      // Ask Twilio to report delivery status (see routes/webhooks)
+      if (process.env.TWILIO_STATUS_CALLBACK_URL) {
+        smsOptions.statusCallback = process.env.TWILIO_STATUS_CALLBACK_URL;
+      }
+
       // Add optional parameters
       if (metadata.mediaUrl) {
         smsOptions.mediaUrl = metadata.mediaUrl;
@@ -106,6 +122,28 @@ class SMSService {
     return phoneRegex.test(phoneNumber);
   }
 
+  // Errors that retrying will not fix (bad number, carrier rejection)
+  isPermanentError(error) {
+    const permanentCodes = [
+      21211, // Invalid 'To' phone number
+      21212, // Invalid 'From' phone number
+      21408, // Region not enabled
+      21610, // Recipient has unsubscribed
+      21612, // Unreachable 'To' number
+      21614, // 'To' number is not a mobile number
+      30003, // Unreachable destination handset
+      30005, // Unknown destination handset
+      30006, // Landline or unreachable carrier
+      30007, // Carrier violation / filtered
+    ];
+    return !!error.permanent || permanentCodes.includes(error.code);
+  }
+
+  // Twilio is throttling us (HTTP 429 / Too Many Requests)
+  isRateLimitError(error) {
+    return error.status === 429 || error.code === 20429;
+  }
+
   // Get SMS delivery status
   async getDeliveryStatus(messageSid) {
     try {
@@ -0,0 +1,112 @@
+const { Server } = require("socket.io");
+const jwt = require("jsonwebtoken");
+const Notification = require("../models/Notification");
+const logger = require("../utils/logger");
+
+class SocketService {
+  constructor() {
+    this.io = null;
+  }
+
+  // Attach the Socket.IO gateway to the HTTP server
+  init(server) {
+    if (!process.env.JWT_SECRET) {
+      logger.warn(
+        "JWT_SECRET not provided. Real-time connections will be rejected."
+      );
+    }
+
+    this.io = new Server(server, {
+      path: process.env.SOCKET_PATH || "/socket.io",
+      cors: {
+        origin: process.env.SOCKET_CORS_ORIGIN || "*",
+      },
+    });
+
+    // Every connection must authenticate before it can join a room
+    this.io.use((socket, next) => this.authenticate(socket, next));
+    this.io.on("connection", (socket) => this.handleConnection(socket));
+
+    logger.info("Socket.IO gateway initialized");
+    return this.io;
+  }
+
+  // Verify the JWT sent in the handshake and attach the user to the socket
+  authenticate(socket, next) {
+    try {
+      const { auth = {}, query = {} } = socket.handshake;
+      const token = auth.token || query.token;
+
+      if (!token) {
+        return next(new Error("Authentication token is required"));
+      }
+
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      const userId = payload.userId || payload.sub;
+
+      if (!userId) {
+        return next(new Error("Token does not identify a user"));
+      }
+
+      socket.data.userId = String(userId);
+      next();
+    } catch (error) {
+      logger.warn("Socket authentication failed", {
+        socketId: socket.id,
+        error: error.message,
+      });
+      next(new Error("Authentication failed"));
+    }
+  }
+
+  async handleConnection(socket) {
+    const { userId } = socket.data;
+
+    socket.join(this.getUserRoom(userId));
+
+    logger.info("Real-time client connected", {
+      userId,
+      socketId: socket.id,
+    });
+
+    socket.on("disconnect", (reason) => {
+      logger.info("Real-time client disconnected", {
+        userId,
+        socketId: socket.id,
+        reason,
+      });
+    });
+
+    // Sync the badge as soon as the client connects
+    try {
+      const unreadCount = await Notification.countUnread(userId);
+      socket.emit("unread-count", { unreadCount });
+    } catch (error) {
+      logger.error("Failed to send initial unread count:", error);
+    }
+  }
+
+  getUserRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  // Emit an event to every connected client of a user
+  emitToUser(userId, event, data) {
+    if (!this.io) {
+      return false;
+    }
+
+    this.io.to(this.getUserRoom(userId)).emit(event, data);
+    return true;
+  }
+
+  // Drop all client connections so the HTTP server can close
+  close() {
+    if (this.io) {
+      this.io.disconnectSockets(true);
+      logger.info("Socket.IO clients disconnected");
+    }
+  }
+}
+
+module.exports = new SocketService();
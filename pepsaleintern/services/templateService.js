@@ -0,0 +1,308 @@
+const Handlebars = require("handlebars");
+const Template = require("../models/Template");
+const localeService = require("./localeService");
+const unsubscribeService = require("./unsubscribeService");
+const logger = require("../utils/logger");
+
+// Notification types map onto keys of Template.channels
+const CHANNEL_KEYS = {
+  email: "email",
+  sms: "sms",
+  "in-app": "inApp",
+};
+
+class TemplateService {
+  // Fresh Handlebars environment with every stored partial registered and
+  // formatting helpers bound to the recipient's locale and timezone
+  async createEnvironment({ locale, timezone } = {}) {
+    const env = Handlebars.create();
+    this.registerFormatHelpers(env, locale, timezone);
+
+    const partials = await Template.find({ kind: "partial" }).select(
+      "name content"
+    );
+
+    partials.forEach((partial) => {
+      env.registerPartial(partial.name, partial.content || "");
+    });
+
+    return env;
+  }
+
+  // Helpers for locale-aware values inside templates, e.g.
+  // {{formatDate shippedAt "long"}}, {{formatDateTime startsAt}},
+  // {{formatNumber count}}, {{formatCurrency total "EUR"}}
+  registerFormatHelpers(env, locale, timezone) {
+    const format = (value, formatter) => {
+      try {
+        return formatter(value);
+      } catch (error) {
+        // Leave values that cannot be formatted as they are
+        return value;
+      }
+    };
+
+    // Handlebars passes its options object as the last argument
+    const styleArg = (args, fallback) =>
+      typeof args[0] === "string" ? args[0] : fallback;
+
+    env.registerHelper("formatDate", (value, ...args) =>
+      format(value, (v) =>
+        new Intl.DateTimeFormat(locale, {
+          dateStyle: styleArg(args, "medium"),
+          timeZone: timezone,
+        }).format(new Date(v))
+      )
+    );
+
+    env.registerHelper("formatDateTime", (value, ...args) =>
+      format(value, (v) =>
+        new Intl.DateTimeFormat(locale, {
+          dateStyle: styleArg(args, "medium"),
+          timeStyle: "short",
+          timeZone: timezone,
+        }).format(new Date(v))
+      )
+    );
+
+    env.registerHelper("formatNumber", (value) =>
+      format(value, (v) => new Intl.NumberFormat(locale).format(Number(v)))
+    );
+
+    env.registerHelper("formatCurrency", (value, ...args) =>
+      format(value, (v) =>
+        new Intl.NumberFormat(locale, {
+          style: "currency",
+          currency: styleArg(args, "USD"),
+        }).format(Number(v))
+      )
+    );
+  }
+
+  // Channel body for the best matching locale variant, walking the fallback
+  // chain (e.g. pt-BR -> pt -> default locale)
+  getLocalizedBody(content, type, locale) {
+    const defaultLocale = content.defaultLocale || localeService.defaultLocale;
+    const chain = localeService.getFallbackChain(locale, defaultLocale);
+
+    for (const candidate of chain) {
+      const channels =
+        candidate === defaultLocale
+          ? content.channels
+          : (
+              (content.locales || []).find(
+                (variant) => variant.locale === candidate
+              ) || {}
+            ).channels;
+
+      if (this.hasChannel(channels, type)) {
+        return { locale: candidate, body: channels[CHANNEL_KEYS[type]] };
+      }
+    }
+
+    return null;
+  }
+
+  // Check that a set of channel bodies has content for the notification type
+  hasChannel(channels, type) {
+    const body = channels && channels[CHANNEL_KEYS[type]];
+    if (!body) return false;
+
+    switch (type) {
+      case "email":
+        return !!(body.subject && (body.html || body.text));
+      case "sms":
+        return !!body.text;
+      case "in-app":
+        return !!body.message;
+      default:
+        return false;
+    }
+  }
+
+  // Names of required variables that were not supplied and have no default
+  getMissingVariables(declared = [], variables = {}) {
+    return declared
+      .filter(
+        (variable) =>
+          variable.required &&
+          variable.defaultValue === undefined &&
+          (variables[variable.name] === undefined ||
+            variables[variable.name] === null)
+      )
+      .map((variable) => variable.name);
+  }
+
+  // Supplied variables on top of the declared defaults
+  buildContext(declared = [], variables = {}) {
+    const defaults = declared.reduce((acc, variable) => {
+      if (variable.defaultValue !== undefined) {
+        acc[variable.name] = variable.defaultValue;
+      }
+      return acc;
+    }, {});
+
+    return { ...defaults, ...variables };
+  }
+
+  // Validate a template for a send request; returns a list of problems
+  validate(template, type, variables = {}, version = template.version) {
+    const content = template.getVersion(version);
+    if (!content) {
+      return [`Template version ${version} does not exist`];
+    }
+
+    const problems = [];
+    if (!this.hasChannel(content.channels, type)) {
+      problems.push(`Template has no ${type} content`);
+    }
+
+    const missing = this.getMissingVariables(content.variables, variables);
+    if (missing.length > 0) {
+      problems.push(`Missing template variables: ${missing.join(", ")}`);
+    }
+
+    return problems;
+  }
+
+  // Render one channel of a template version in the given locale
+  async render(
+    template,
+    type,
+    variables = {},
+    version = template.version,
+    { locale, timezone } = {}
+  ) {
+    const problems = this.validate(template, type, variables, version);
+    if (problems.length > 0) {
+      throw new Error(
+        `Cannot render template ${template.name}: ${problems.join("; ")}`
+      );
+    }
+
+    const content = template.getVersion(version);
+    const localized = this.getLocalizedBody(content, type, locale);
+    const { body } = localized;
+    const context = this.buildContext(content.variables, variables);
+    // Format values with the most specific locale that matches the content's
+    // language (pt-BR stays pt-BR even when the pt variant is used)
+    const requested = locale && localeService.normalize(locale);
+    const formatLocale =
+      requested &&
+      (requested === localized.locale ||
+        requested.startsWith(`${localized.locale}-`))
+        ? requested
+        : localized.locale;
+
+    const env = await this.createEnvironment({
+      locale: formatLocale,
+      timezone: timezone || localeService.defaultTimezone,
+    });
+
+    // Only HTML is escaped; text bodies are sent as-is
+    const compile = (source, escape = false) =>
+      source ? env.compile(source, { noEscape: !escape })(context) : undefined;
+
+    switch (type) {
+      case "email": {
+        let html = compile(body.html, true);
+        if (html && content.layout) {
+          html = await this.applyLayout(env, content.layout, html, context);
+        }
+
+        return {
+          locale: localized.locale,
+          subject: compile(body.subject),
+          html,
+          text: compile(body.text),
+        };
+      }
+      case "sms":
+        return {
+          locale: localized.locale,
+          text: compile(body.text),
+        };
+      case "in-app":
+        return {
+          locale: localized.locale,
+          title: compile(body.title),
+          message: compile(body.message),
+        };
+      default:
+        throw new Error(`Unknown notification type: ${type}`);
+    }
+  }
+
+  // Wrap rendered email HTML in a stored layout
+  async applyLayout(env, layoutName, html, context) {
+    const layout = await Template.findOne({ name: layoutName, kind: "layout" });
+    if (!layout) {
+      throw new Error(`Layout not found: ${layoutName}`);
+    }
+
+    return env.compile(layout.content || "{{{body}}}")({
+      ...context,
+      body: html,
+    });
+  }
+
+  // Render a templated notification and store the result on it
+  async renderNotification(notification) {
+    const template = await Template.findById(notification.templateId);
+    if (!template) {
+      throw new Error(`Template not found: ${notification.templateId}`);
+    }
+
+    // Email templates can link to {{unsubscribeUrl}}
+    const unsubscribeUrl =
+      notification.type === "email"
+        ? unsubscribeService.getUrl(notification)
+        : undefined;
+
+    const rendered = await this.render(
+      template,
+      notification.type,
+      { unsubscribeUrl, ...notification.variables },
+      notification.templateVersion,
+      { locale: notification.locale, timezone: notification.timezone }
+    );
+
+    switch (notification.type) {
+      case "email":
+        notification.subject = rendered.subject;
+        notification.html = rendered.html;
+        notification.message = rendered.text || this.htmlToText(rendered.html);
+        break;
+      case "sms":
+        notification.message = rendered.text;
+        break;
+      case "in-app":
+        notification.subject = rendered.title;
+        notification.message = rendered.message;
+        break;
+    }
+
+    await notification.save();
+
+    logger.info(`Rendered template for notification: ${notification._id}`, {
+      template: template.name,
+      version: notification.templateVersion,
+      locale: rendered.locale,
+    });
+
+    return notification;
+  }
+
+  // Plain-text fallback for emails that only have an HTML body
+  htmlToText(html = "") {
+    return html
+      .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/p>/gi, "\n\n")
+      .replace(/<[^>]+>/g, "")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const Template = require("../models/Template");
+const { publicBaseUrl } = require("../config/urls");
+const logger = require("../utils/logger");
+
+const AUDIENCE = "tracking";
+
+// Engagement events kept per notification; counters keep counting past it
+const MAX_EVENTS = 100;
+
+// Transparent 1x1 GIF served as the open pixel
+const PIXEL = Buffer.from(
+  "R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7",
+  "base64"
+);
+
+const GROUP_FIELDS = {
+  template: "$templateId",
+  category: "$category",
+};
+
+class TrackingService {
+  constructor() {
+    this.pixel = PIXEL;
+  }
+
+  // Tracking tokens are signed with TRACKING_SECRET, or a key derived from
+  // JWT_SECRET, so they cannot pass as socket auth or unsubscribe tokens
+  getSecret() {
+    if (process.env.TRACKING_SECRET) return process.env.TRACKING_SECRET;
+    if (!process.env.JWT_SECRET) return null;
+
+    return crypto
+      .createHmac("sha256", process.env.JWT_SECRET)
+      .update(AUDIENCE)
+      .digest("hex");
+  }
+
+  // Tracking is off unless EMAIL_TRACKING_ENABLED=true; metadata.tracking
+  // turns it on or off for a single notification
+  isEnabled(notification, metadata = {}) {
+    const enabled =
+      metadata.tracking !== undefined
+        ? metadata.tracking !== false && metadata.tracking !== "false"
+        : process.env.EMAIL_TRACKING_ENABLED === "true";
+    return enabled && notification.type === "email" && !!this.getSecret();
+  }
+
+  createToken(notification, url) {
+    return jwt.sign(
+      { sub: notification._id.toString(), ...(url && { url }) },
+      this.getSecret(),
+      { audience: AUDIENCE }
+    );
+  }
+
+  // { notificationId, url } for a valid token, otherwise null
+  verifyToken(token) {
+    const secret = this.getSecret();
+    if (!secret) return null;
+
+    try {
+      const payload = jwt.verify(token, secret, { audience: AUDIENCE });
+      return { notificationId: payload.sub, url: payload.url };
+    } catch (error) {
+      logger.warn("Invalid tracking token", { error: error.message });
+      return null;
+    }
+  }
+
+  getOpenUrl(notification) {
+    return `${publicBaseUrl}/track/open/${this.createToken(notification)}`;
+  }
+
+  getClickUrl(notification, url) {
+    return `${publicBaseUrl}/track/click/${this.createToken(
+      notification,
+      url
+    )}`;
+  }
+
+  // Route external links through the click redirect and append the open
+  // pixel. Links back to this service (e.g. unsubscribe) are left alone.
+  instrumentHtml(html, notification) {
+    const tracked = html.replace(
+      /href="(https?:\/\/[^"]+)"/gi,
+      (match, href) => {
+        const url = href.replace(/&amp;/g, "&");
+        if (url.startsWith(`${publicBaseUrl}/`)) return match;
+        return `href="${this.getClickUrl(notification, url)}"`;
+      }
+    );
+
+    const pixel = `<img src="${this.getOpenUrl(
+      notification
+    )}" width="1" height="1" alt="" style="display:none">`;
+
+    return /<\/body>/i.test(tracked)
+      ? tracked.replace(/<\/body>/i, `${pixel}</body>`)
+      : `${tracked}${pixel}`;
+  }
+
+  // Record an open or click. A click also counts as an open, since many
+  // clients block the pixel.
+  async recordEvent(notificationId, type, { url, ip, userAgent } = {}) {
+    const at = new Date();
+    const update = {
+      $push: {
+        engagementEvents: {
+          $each: [{ type, url, ip, userAgent, at }],
+          $slice: -MAX_EVENTS,
+        },
+      },
+      $inc: { [type === "open" ? "openCount" : "clickCount"]: 1 },
+      $min: {
+        openedAt: at,
+        ...(type === "click" && { clickedAt: at }),
+      },
+    };
+
+    const result = await Notification.updateOne(
+      { _id: notificationId, type: "email" },
+      update
+    );
+
+    if (result.matchedCount > 0) {
+      logger.info(`Email ${type} tracked: ${notificationId}`, { url });
+    }
+
+    return result.matchedCount > 0;
+  }
+
+  // Open and click rates of tracked emails sent in a time range, overall
+  // and grouped by template, category or day
+  async getStats({
+    from,
+    to,
+    templateId,
+    category,
+    groupBy = "template",
+    timezone = "UTC",
+  } = {}) {
+    const match = { type: "email", tracked: true, sentAt: { $ne: null } };
+    if (from) match.sentAt.$gte = new Date(from);
+    if (to) match.sentAt.$lte = new Date(to);
+    if (templateId) {
+      match.templateId = new mongoose.Types.ObjectId(templateId);
+    }
+
+    const totals = {
+      sent: { $sum: 1 },
+      opened: { $sum: { $cond: [{ $ifNull: ["$openedAt", false] }, 1, 0] } },
+      clicked: { $sum: { $cond: [{ $ifNull: ["$clickedAt", false] }, 1, 0] } },
+      opens: { $sum: "$openCount" },
+      clicks: { $sum: "$clickCount" },
+    };
+
+    const groupField =
+      groupBy === "day"
+        ? {
+            $dateToString: { format: "%Y-%m-%d", date: "$sentAt", timezone },
+          }
+        : GROUP_FIELDS[groupBy];
+
+    const [facets] = await Notification.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          category: { $ifNull: ["$metadata.category", "general"] },
+        },
+      },
+      ...(category ? [{ $match: { category } }] : []),
+      {
+        $facet: {
+          total: [{ $group: { _id: null, ...totals } }],
+          groups: [
+            { $group: { _id: groupField, ...totals } },
+            { $sort: { _id: 1 } },
+          ],
+        },
+      },
+    ]);
+
+    const names =
+      groupBy === "template" ? await this.getTemplateNames(facets.groups) : {};
+
+    return {
+      groupBy,
+      from,
+      to,
+      total: this.withRates(facets.total[0] || { sent: 0 }),
+      groups: facets.groups.map(({ _id, ...counts }) => ({
+        key: _id,
+        ...(groupBy === "template" && { name: names[_id] || null }),
+        ...this.withRates(counts),
+      })),
+    };
+  }
+
+  async getTemplateNames(groups) {
+    const ids = groups.map((group) => group._id).filter(Boolean);
+    const templates = await Template.find({ _id: { $in: ids } }).select("name");
+
+    return templates.reduce((acc, template) => {
+      acc[template._id] = template.name;
+      return acc;
+    }, {});
+  }
+
+  // Rates are fractions of tracked emails sent; clickToOpen of those opened
+  withRates({ sent = 0, opened = 0, clicked = 0, opens = 0, clicks = 0 }) {
+    const rate = (count, of) =>
+      of > 0 ? Math.round((count / of) * 10000) / 10000 : 0;
+
+    return {
+      sent,
+      opened,
+      clicked,
+      opens,
+      clicks,
+      openRate: rate(opened, sent),
+      clickRate: rate(clicked, sent),
+      clickToOpenRate: rate(clicked, opened),
+    };
+  }
+}
+
+module.exports = new TrackingService();
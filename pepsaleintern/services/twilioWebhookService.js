@@ -0,0 +1,222 @@
+const Notification = require("../models/Notification");
+const InboundMessage = require("../models/InboundMessage");
+const PendingDeliveryEvent = require("../models/PendingDeliveryEvent");
+const Suppression = require("../models/Suppression");
+const UserPreference = require("../models/UserPreference");
+const localeService = require("./localeService");
+const smsService = require("./smsService");
+const queueConfig = require("../config/queues");
+const { deferNotification } = require("./queueService");
+const { failNotification } = require("./notificationProcessor");
+const logger = require("../utils/logger");
+
+// Twilio statuses that mean the message will not arrive
+const UNDELIVERED = ["undelivered", "failed"];
+
+// Compliance keywords (matched on the whole message, case-insensitively)
+const KEYWORDS = {
+  stop: ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"],
+  start: ["START", "YES", "UNSTOP"],
+  help: ["HELP", "INFO"],
+};
+
+// Auto-replies can be overridden per keyword, e.g. SMS_STOP_REPLY
+const REPLY_OVERRIDES = {
+  stop: process.env.SMS_STOP_REPLY,
+  start: process.env.SMS_START_REPLY,
+  help: process.env.SMS_HELP_REPLY,
+};
+
+class TwilioWebhookService {
+  getKeyword(body) {
+    const word = String(body || "")
+      .trim()
+      .toUpperCase();
+    return (
+      Object.keys(KEYWORDS).find((keyword) =>
+        KEYWORDS[keyword].includes(word)
+      ) || null
+    );
+  }
+
+  // Record an inbound SMS and act on STOP/START/HELP. Returns the
+  // auto-reply to send back, or null.
+  async handleInbound(params) {
+    const { MessageSid, From, To, Body } = params;
+
+    const preference = await UserPreference.findOne({
+      "channels.sms.address": From,
+    });
+    const userId = preference ? preference.userId : undefined;
+    const keyword = this.getKeyword(Body);
+
+    if (keyword === "stop") {
+      await Suppression.suppress("sms", From, {
+        reason: "opt-out",
+        source: "twilio-inbound",
+        userId,
+        details: { keyword: Body.trim(), messageSid: MessageSid },
+      });
+    } else if (keyword === "start") {
+      await Suppression.lift("sms", From);
+    }
+
+    const reply = keyword
+      ? REPLY_OVERRIDES[keyword] ||
+        localeService.translate(
+          `sms.${keyword}Reply`,
+          preference && preference.locale,
+          { serviceName: process.env.SERVICE_NAME || "Notification Service" }
+        )
+      : null;
+
+    // Twilio retries webhooks, so a repeated MessageSid is stored once
+    await InboundMessage.updateOne(
+      { messageSid: MessageSid },
+      {
+        $setOnInsert: {
+          from: From,
+          to: To,
+          body: Body,
+          userId,
+          keyword: keyword || undefined,
+          reply: reply || undefined,
+        },
+      },
+      { upsert: true }
+    );
+
+    logger.info(`Inbound SMS received: ${MessageSid}`, {
+      from: From,
+      userId,
+      keyword,
+    });
+
+    return reply;
+  }
+
+  // Apply a status callback (MessageSid, MessageStatus, ErrorCode) to the
+  // notification it belongs to
+  async handleStatusCallback(params) {
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = params;
+
+    const notification = await Notification.findOne({
+      providerMessageId: MessageSid,
+    });
+    if (notification) {
+      return this.applyStatus(notification, params);
+    }
+
+    // Twilio can call back before the worker has stored the SID: keep the
+    // event until it is (see applyPendingEvents)
+    await PendingDeliveryEvent.create({
+      providerMessageId: MessageSid,
+      status: MessageStatus,
+      provider: "twilio",
+      errorCode: ErrorCode,
+      errorMessage: ErrorMessage,
+    });
+
+    logger.info(`Status callback held for unknown message: ${MessageSid}`, {
+      status: MessageStatus,
+    });
+
+    // The SID may have been stored while the event was being saved
+    const stored = await Notification.findOne({
+      providerMessageId: MessageSid,
+    });
+    if (stored) {
+      await this.applyPendingEvents(stored);
+    }
+    return stored;
+  }
+
+  // Apply the status callbacks that arrived before a notification's SID was
+  // stored, oldest first. Each event is claimed atomically, so it is applied
+  // once even when the worker and a callback race.
+  async applyPendingEvents(notification) {
+    const providerMessageId = notification.providerMessageId;
+    let event;
+
+    while (
+      providerMessageId &&
+      notification.providerMessageId === providerMessageId &&
+      (event = await PendingDeliveryEvent.findOneAndDelete(
+        { providerMessageId },
+        { sort: { at: 1 } }
+      ))
+    ) {
+      await this.applyStatus(
+        notification,
+        {
+          MessageSid: providerMessageId,
+          MessageStatus: event.status,
+          ErrorCode: event.errorCode,
+          ErrorMessage: event.errorMessage,
+        },
+        event.at
+      );
+    }
+
+    return notification;
+  }
+
+  // Record a status on its notification and act on undelivered messages
+  async applyStatus(notification, params, at = new Date()) {
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = params;
+
+    await notification.addDeliveryEvent({
+      status: MessageStatus,
+      provider: "twilio",
+      errorCode: ErrorCode,
+      errorMessage: ErrorMessage,
+      at,
+    });
+
+    logger.info(`SMS status ${MessageStatus}: ${notification._id}`, {
+      messageSid: MessageSid,
+      errorCode: ErrorCode,
+    });
+
+    // Callbacks can arrive out of order; only a sent, unconfirmed
+    // notification can still turn out undelivered
+    if (
+      UNDELIVERED.includes(MessageStatus) &&
+      notification.status === "sent" &&
+      !notification.deliveredAt
+    ) {
+      await this.handleUndelivered(notification, MessageStatus, ErrorCode);
+    }
+
+    return notification;
+  }
+
+  // Retry an undelivered SMS while it has attempts left and the error is
+  // not permanent; otherwise fail it like a send error
+  async handleUndelivered(notification, status, errorCode) {
+    const error = new Error(
+      `SMS ${status}${errorCode ? ` (error ${errorCode})` : ""}`
+    );
+    error.code = errorCode ? parseInt(errorCode) : undefined;
+
+    if (
+      !smsService.isPermanentError(error) &&
+      notification.attempts < notification.maxAttempts
+    ) {
+      // Same exponential backoff as the sms queue uses between attempts
+      const { delay } = queueConfig.channels.sms.backoff;
+      const until = new Date(
+        Date.now() + delay * 2 ** Math.max(0, notification.attempts - 1)
+      );
+
+      notification.providerMessageId = undefined;
+      await deferNotification(notification, until, error.message);
+      return { status: "retrying", until };
+    }
+
+    await failNotification(notification, error);
+    return { status: "failed" };
+  }
+}
+
+module.exports = new TwilioWebhookService();
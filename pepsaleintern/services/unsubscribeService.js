@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { escapeExpression } = require("handlebars");
+const UserPreference = require("../models/UserPreference");
+const { publicBaseUrl } = require("../config/urls");
+const localeService = require("./localeService");
+const logger = require("../utils/logger");
+
+const AUDIENCE = "unsubscribe";
+
+class UnsubscribeService {
+  // Unsubscribe tokens are signed with their own key (UNSUBSCRIBE_SECRET, or
+  // one derived from JWT_SECRET) so they cannot pass as socket auth tokens
+  getSecret() {
+    if (process.env.UNSUBSCRIBE_SECRET) return process.env.UNSUBSCRIBE_SECRET;
+    if (!process.env.JWT_SECRET) return null;
+
+    return crypto
+      .createHmac("sha256", process.env.JWT_SECRET)
+      .update(AUDIENCE)
+      .digest("hex");
+  }
+
+  // Settings missing for working unsubscribe links
+  getConfigProblems() {
+    const problems = [];
+    if (!this.getSecret()) {
+      problems.push("UNSUBSCRIBE_SECRET or JWT_SECRET is needed to sign links");
+    }
+    if (!process.env.PUBLIC_BASE_URL) {
+      problems.push(
+        "PUBLIC_BASE_URL is needed for links to reach this service"
+      );
+    }
+    return problems;
+  }
+
+  // Signed token naming the user and category to unsubscribe from. Tokens
+  // never expire unless UNSUBSCRIBE_TOKEN_TTL is set (e.g. "365d").
+  createToken(userId, category) {
+    return jwt.sign({ sub: String(userId), category }, this.getSecret(), {
+      audience: AUDIENCE,
+      ...(process.env.UNSUBSCRIBE_TOKEN_TTL && {
+        expiresIn: process.env.UNSUBSCRIBE_TOKEN_TTL,
+      }),
+    });
+  }
+
+  // { userId, category } for a valid token, otherwise null
+  verifyToken(token) {
+    const secret = this.getSecret();
+    if (!secret) return null;
+
+    try {
+      const payload = jwt.verify(token, secret, { audience: AUDIENCE });
+      if (!payload.sub || !payload.category) return null;
+      return { userId: payload.sub, category: payload.category };
+    } catch (error) {
+      logger.warn("Invalid unsubscribe token", { error: error.message });
+      return null;
+    }
+  }
+
+  // Unsubscribe URL for a notification's user and category, or null when no
+  // signing key is configured
+  getUrl(notification) {
+    if (!this.getSecret()) return null;
+
+    const token = this.createToken(
+      notification.userId,
+      notification.getCategory()
+    );
+    return `${publicBaseUrl}/unsubscribe/${token}`;
+  }
+
+  // RFC 8058 one-click unsubscribe headers
+  getHeaders(url) {
+    return {
+      "List-Unsubscribe": `<${url}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    };
+  }
+
+  async unsubscribe(userId, category) {
+    const preference =
+      (await UserPreference.findOne({ userId })) ||
+      new UserPreference({ userId });
+
+    await preference.optOutOfCategory(category, "email");
+
+    logger.info(`User unsubscribed from ${category} emails: ${userId}`, {
+      userId,
+      category,
+    });
+
+    return preference;
+  }
+
+  // Minimal HTML page for the unsubscribe routes. With a form, the page
+  // posts back to its own URL to confirm.
+  async renderPage(userId, key, params = {}, withForm = false) {
+    const preference = userId ? await UserPreference.findOne({ userId }) : null;
+    const locale = localeService.normalize(preference && preference.locale);
+    const t = (name) =>
+      escapeExpression(
+        localeService.translate(`unsubscribe.${name}`, locale, params)
+      );
+
+    return `<!DOCTYPE html>
+<html lang="${locale || localeService.defaultLocale}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${t("title")}</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 40px auto; text-align: center;">
+  <p>${t(key)}</p>
+  ${
+    withForm
+      ? `<form method="post"><button type="submit">${t("button")}</button></form>`
+      : ""
+  }
+</body>
+</html>`;
+  }
+}
+
+module.exports = new UnsubscribeService();
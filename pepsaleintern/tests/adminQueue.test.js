@@ -0,0 +1,99 @@
+jest.mock("../services/queueService", () => ({
+  getQueue: jest.fn((name) => ["sms", "system"].includes(name) || undefined),
+  removeJob: jest.fn(),
+}));
+
+const express = require("express");
+const request = require("supertest");
+const Notification = require("../models/Notification");
+const { removeJob } = require("../services/queueService");
+const adminQueueRoutes = require("../routes/adminQueue");
+
+describe("DELETE /admin/queue/:queue/jobs/:jobId", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/admin/queue", adminQueueRoutes);
+
+  const env = { ...process.env };
+
+  const remove = (queue, jobId) =>
+    request(app)
+      .delete(`/admin/queue/${queue}/jobs/${jobId}`)
+      .set("x-api-key", "admin-key");
+
+  beforeEach(() => {
+    process.env.ADMIN_API_KEY = "admin-key";
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it("cancels the notification of a removed job", async () => {
+    const notification = new Notification({
+      userId: "user-1",
+      type: "sms",
+      recipient: "+15550001111",
+      message: "Reminder",
+      status: "scheduled",
+      jobId: "7",
+      queueName: "sms",
+    });
+    notification.save = jest.fn(async () => notification);
+    const findOne = jest
+      .spyOn(Notification, "findOne")
+      .mockResolvedValue(notification);
+    removeJob.mockResolvedValue("removed");
+
+    const res = await remove("sms", "7");
+
+    expect(res.status).toBe(200);
+    expect(removeJob).toHaveBeenCalledWith("7", "sms");
+    expect(findOne.mock.calls[0][0]).toMatchObject({
+      jobId: "7",
+      queueName: "sms",
+    });
+    expect(notification.status).toBe("cancelled");
+    expect(notification.save).toHaveBeenCalled();
+  });
+
+  it("looks up sends queued before the per-channel split without a queue name", async () => {
+    const findOne = jest.spyOn(Notification, "findOne").mockResolvedValue(null);
+    removeJob.mockResolvedValue("removed");
+
+    const res = await remove("system", "3");
+
+    expect(res.status).toBe(200);
+    expect(findOne.mock.calls[0][0].queueName).toBeNull();
+  });
+
+  it("returns 404 for a job that does not exist", async () => {
+    const findOne = jest.spyOn(Notification, "findOne");
+    removeJob.mockResolvedValue("missing");
+
+    const res = await remove("sms", "404");
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.message).toBe("Job not found");
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it("returns 409 for a job that is running or done", async () => {
+    removeJob.mockResolvedValue("locked");
+
+    const res = await remove("sms", "8");
+
+    expect(res.status).toBe(409);
+  });
+
+  it("returns 500 when the queue cannot be reached", async () => {
+    removeJob.mockRejectedValue(new Error("Connection is closed."));
+
+    const res = await remove("sms", "9");
+
+    expect(res.status).toBe(500);
+    expect(res.body.error.message).toBe("Failed to remove job");
+  });
+});
@@ -0,0 +1,29 @@
+const express = require("express");
+const request = require("supertest");
+const inAppService = require("../services/inAppService");
+const userRoutes = require("../routes/users");
+
+describe("POST /users/:id/notifications/(read|archive|delete) errors", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/users", userRoutes);
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it.each([
+    ["read", "markNotificationsAsRead", "Failed to mark notifications as read"],
+    ["archive", "archiveNotifications", "Failed to archive notifications"],
+    ["delete", "deleteNotifications", "Failed to delete notifications"],
+  ])("reports a failed bulk %s", async (action, method, message) => {
+    jest
+      .spyOn(inAppService, method)
+      .mockRejectedValue(new Error("Connection lost"));
+
+    const res = await request(app)
+      .post(`/users/user-1/notifications/${action}`)
+      .send({ all: true });
+
+    expect(res.status).toBe(500);
+    expect(res.body.error.message).toBe(message);
+  });
+});
@@ -0,0 +1,62 @@
+jest.mock("../services/queueService", () => ({
+  addToQueue: jest.fn(),
+  removeJob: jest.fn(),
+}));
+
+const express = require("express");
+const request = require("supertest");
+const Notification = require("../models/Notification");
+const UserPreference = require("../models/UserPreference");
+const { addToQueue } = require("../services/queueService");
+const notificationRoutes = require("../routes/notification");
+
+const app = express();
+app.use(express.json());
+app.use("/notifications", notificationRoutes);
+
+const paths = (res) =>
+  new Set(res.body.error.details.map((detail) => detail.path));
+
+describe("notification categories", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("rejects a category users cannot set preferences for", async () => {
+    const res = await request(app)
+      .post("/notifications")
+      .send({
+        userId: "user-1",
+        type: "in-app",
+        message: "Your invoice is ready",
+        metadata: { category: "billing" },
+      });
+
+    expect(res.status).toBe(400);
+    expect(paths(res)).toEqual(new Set(["metadata.category"]));
+  });
+
+  it("stores a known category and queues the notification", async () => {
+    const saved = [];
+    jest
+      .spyOn(Notification.prototype, "save")
+      .mockImplementation(async function () {
+        saved.push(this);
+        return this;
+      });
+    jest.spyOn(UserPreference, "getSuppressionReason").mockResolvedValue(null);
+    addToQueue.mockResolvedValue({ id: "job-1" });
+
+    const res = await request(app)
+      .post("/notifications")
+      .send({
+        userId: "user-1",
+        type: "in-app",
+        message: "Your invoice is ready",
+        metadata: { category: "update" },
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe("queued");
+    expect(saved[0].getCategory()).toBe("update");
+    expect(saved[0].metadata.get("category")).toBe("update");
+  });
+});
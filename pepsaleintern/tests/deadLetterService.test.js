@@ -0,0 +1,62 @@
+jest.mock("../services/queueService", () => ({
+  addToQueue: jest.fn(async () => ({ id: "job-2" })),
+}));
+
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const deadLetterService = require("../services/deadLetterService");
+
+const buildFailed = () => {
+  const notification = new Notification({
+    userId: "user-1",
+    type: "email",
+    recipient: "user@example.com",
+    subject: "Rendered subject",
+    message: "Rendered message",
+    html: "<p>Rendered message</p>",
+    templateId: new mongoose.Types.ObjectId(),
+    templateVersion: 3,
+    variables: { name: "Ada" },
+    status: "failed",
+  });
+  notification.save = jest.fn(async () => notification);
+  return notification;
+};
+
+const buildEntry = (notification) => ({
+  _id: new mongoose.Types.ObjectId(),
+  notificationId: notification._id,
+  markAsReplayed: jest.fn(),
+});
+
+describe("deadLetterService.replay", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("detaches the template when the subject or message is edited", async () => {
+    const notification = buildFailed();
+    jest.spyOn(Notification, "findById").mockResolvedValue(notification);
+
+    await deadLetterService.replay(buildEntry(notification), {
+      message: "Edited message",
+    });
+
+    expect(notification.message).toBe("Edited message");
+    expect(notification.templateId).toBeUndefined();
+    expect(notification.templateVersion).toBeUndefined();
+    expect(notification.html).toBeUndefined();
+    expect(notification.status).toBe("queued");
+  });
+
+  it("keeps the template when only variables are edited", async () => {
+    const notification = buildFailed();
+    const { templateId } = notification;
+    jest.spyOn(Notification, "findById").mockResolvedValue(notification);
+
+    await deadLetterService.replay(buildEntry(notification), {
+      variables: { name: "Grace" },
+    });
+
+    expect(notification.templateId).toEqual(templateId);
+    expect(notification.variables).toEqual({ name: "Grace" });
+  });
+});
@@ -0,0 +1,80 @@
+const express = require("express");
+const request = require("supertest");
+const DeadLetter = require("../models/DeadLetter");
+const deadLetterRoutes = require("../routes/deadLetters");
+
+describe("DELETE /admin/dead-letters", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/admin/dead-letters", deadLetterRoutes);
+
+  const purge = (body) =>
+    request(app)
+      .delete("/admin/dead-letters")
+      .set("x-api-key", "admin-key")
+      .send(body);
+
+  beforeEach(() => {
+    process.env.ADMIN_API_KEY = "admin-key";
+    jest.spyOn(DeadLetter, "deleteMany").mockResolvedValue({ deletedCount: 3 });
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+    jest.restoreAllMocks();
+  });
+
+  it.each([["false"], [0.1], ["yes"], [{}]])(
+    "does not purge everything for all: %p",
+    async (all) => {
+      const res = await purge({ all });
+
+      expect(res.status).toBe(400);
+      expect(DeadLetter.deleteMany).not.toHaveBeenCalled();
+    }
+  );
+
+  it("purges everything for all: true", async () => {
+    const res = await purge({ all: true });
+
+    expect(res.status).toBe(200);
+    expect(DeadLetter.deleteMany).toHaveBeenCalledWith({});
+  });
+
+  it("rejects operator objects in filters", async () => {
+    const res = await purge({ userId: { $ne: "nobody" } });
+
+    expect(res.status).toBe(400);
+    expect(DeadLetter.deleteMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("POST /admin/dead-letters/:id/replay", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/admin/dead-letters", deadLetterRoutes);
+
+  beforeEach(() => {
+    process.env.ADMIN_API_KEY = "admin-key";
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+    jest.restoreAllMocks();
+  });
+
+  it("rejects a category users cannot set preferences for", async () => {
+    const findById = jest.spyOn(DeadLetter, "findById");
+
+    const res = await request(app)
+      .post("/admin/dead-letters/64b7f0c2a1b2c3d4e5f60718/replay")
+      .set("x-api-key", "admin-key")
+      .send({ metadata: { category: "billing" } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.map((detail) => detail.path)).toEqual([
+      "metadata.category",
+    ]);
+    expect(findById).not.toHaveBeenCalled();
+  });
+});
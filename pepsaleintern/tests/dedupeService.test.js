@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const templateService = require("../services/templateService");
+const dedupeService = require("../services/dedupeService");
+
+const buildInApp = (fields) => {
+  const notification = new Notification({
+    userId: "user-1",
+    type: "in-app",
+    collapseKey: "comments:post-1",
+    ...fields,
+  });
+  notification.save = jest.fn(async () => notification);
+  notification.markAsDuplicate = jest.fn(async () => notification);
+  return notification;
+};
+
+describe("dedupeService.collapse", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("detaches the original's template when the newer one is plain text", async () => {
+    const original = buildInApp({
+      templateId: new mongoose.Types.ObjectId(),
+      templateVersion: 2,
+      variables: { author: "Ada" },
+      status: "pending",
+    });
+    const duplicate = buildInApp({ message: "Grace commented on your post" });
+
+    await dedupeService.collapse(original, duplicate);
+
+    expect(original.message).toBe("Grace commented on your post");
+    expect(original.templateId).toBeUndefined();
+    expect(original.templateVersion).toBeUndefined();
+    expect(original.variables).toBeUndefined();
+    expect(original.collapseCount).toBe(2);
+    expect(duplicate.markAsDuplicate).toHaveBeenCalledWith(
+      original._id,
+      "collapsed"
+    );
+  });
+
+  it("takes the newer template and passes the count to it", async () => {
+    const templateId = new mongoose.Types.ObjectId();
+    const original = buildInApp({ message: "Ada commented on your post" });
+    const duplicate = buildInApp({
+      templateId,
+      templateVersion: 1,
+      variables: { author: "Grace" },
+    });
+    const render = jest
+      .spyOn(templateService, "renderNotification")
+      .mockResolvedValue(undefined);
+
+    await dedupeService.collapse(original, duplicate);
+
+    expect(original.templateId).toEqual(templateId);
+    expect(original.variables).toEqual({ author: "Grace", count: 2 });
+    // Not sent yet: the worker renders it
+    expect(render).not.toHaveBeenCalled();
+  });
+});
+
+describe("dedupeService.findOriginal", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const queryFor = async (notification, field) => {
+    const sort = jest.fn(async () => null);
+    const findOne = jest
+      .spyOn(Notification, "findOne")
+      .mockReturnValue({ sort });
+
+    await dedupeService.findOriginal(notification, field);
+
+    expect(sort).toHaveBeenCalledWith({ _id: 1 });
+    return findOne.mock.calls[0][0];
+  };
+
+  it("looks back over the notification's own window", async () => {
+    const notification = buildInApp({
+      dedupeKey: "order-42",
+      dedupeWindow: 60000,
+      message: "Order shipped",
+    });
+    notification.createdAt = new Date("2026-03-10T12:00:00Z");
+
+    const filter = await queryFor(notification, "dedupeKey");
+
+    expect(filter).toMatchObject({
+      _id: { $lt: notification._id },
+      userId: "user-1",
+      type: "in-app",
+      dedupeKey: "order-42",
+      createdAt: { $gte: new Date("2026-03-10T11:59:00Z") },
+    });
+    expect(filter.status.$nin).toEqual(
+      expect.arrayContaining(["failed", "deduplicated", "collapsed"])
+    );
+    expect(filter).not.toHaveProperty("readAt");
+  });
+
+  it("falls back to the default window", async () => {
+    const notification = buildInApp({ message: "New comment" });
+    notification.createdAt = new Date("2026-03-10T12:00:00Z");
+
+    const filter = await queryFor(notification, "collapseKey");
+
+    expect(filter.createdAt.$gte).toEqual(
+      new Date(notification.createdAt.getTime() - dedupeService.defaultWindow)
+    );
+  });
+
+  it("only collapses into notifications still unread in the inbox", async () => {
+    const filter = await queryFor(
+      buildInApp({ message: "New comment" }),
+      "collapseKey"
+    );
+
+    expect(filter).toMatchObject({
+      collapseKey: "comments:post-1",
+      readAt: null,
+      archivedAt: null,
+      dismissedAt: null,
+    });
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock("../services/queueService", () => ({
+  addToQueue: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const Notification = require("../models/Notification");
+const Template = require("../models/Template");
+const notificationService = require("../services/notificationService");
+const digestService = require("../services/digestService");
+
+const buildHeld = (type) =>
+  new Notification({
+    userId: "user-1",
+    type,
+    recipient: type === "email" ? "user@example.com" : undefined,
+    subject: "Weekly report",
+    message: `Report ready (${type})`,
+    priority: "low",
+    status: "held",
+    heldAt: new Date(),
+  });
+
+describe("digestService.sendDigest", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("rolls held in-app records up into an in-app digest only", async () => {
+    const email = buildHeld("email");
+    const inApp = buildHeld("in-app");
+    const preference = {
+      digest: { channel: "email", perCategory: false },
+      getAddress: () => "user@example.com",
+      save: jest.fn(),
+    };
+
+    jest
+      .spyOn(Notification, "find")
+      .mockReturnValue({ sort: async () => [email, inApp] });
+    jest.spyOn(Template, "findOne").mockResolvedValue(null);
+    const updateMany = jest
+      .spyOn(Notification, "updateMany")
+      .mockResolvedValue({});
+    const createNotification = jest
+      .spyOn(notificationService, "createNotification")
+      .mockImplementation(async (data) => ({
+        notification: new Notification(data),
+        job: { id: "job-1" },
+      }));
+
+    const digests = await digestService.sendDigest("user-1", preference);
+
+    expect(digests.map((digest) => digest.type)).toEqual(["email", "in-app"]);
+    expect(createNotification.mock.calls[0][0].recipient).toBe(
+      "user@example.com"
+    );
+    expect(updateMany.mock.calls.map(([filter]) => filter._id.$in)).toEqual([
+      [email._id],
+      [inApp._id],
+    ]);
+  });
+});
+
+describe("Message#getDeliveryState", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const stateFor = (statuses) => {
+    jest.spyOn(Notification, "find").mockReturnValue({
+      select: () => ({
+        sort: async () =>
+          statuses.map((status) => ({
+            _id: new mongoose.Types.ObjectId(),
+            type: "email",
+            status,
+          })),
+      }),
+    });
+
+    return new Message({
+      userId: "user-1",
+      requestedChannels: "all",
+    }).getDeliveryState();
+  };
+
+  it("counts held records as pending", async () => {
+    const state = await stateFor(["sent", "held"]);
+
+    expect(state.status).toBe("in_progress");
+    expect(state.pending).toBe(1);
+  });
+
+  it("is partially delivered once nothing is pending", async () => {
+    const state = await stateFor(["sent", "failed"]);
+
+    expect(state.status).toBe("partially_delivered");
+    expect(state.pending).toBe(0);
+  });
+});
+
+describe("records delivered through a digest", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("do not count as unread once the digest is sent", async () => {
+    const countDocuments = jest
+      .spyOn(Notification, "countDocuments")
+      .mockResolvedValue(0);
+
+    await Notification.countUnread("user-1");
+
+    expect(countDocuments).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId: "user-1",
+        type: "in-app",
+        readAt: null,
+        deliveredVia: { $ne: "digest" },
+      })
+    );
+  });
+
+  it("are marked as sent through the digest", async () => {
+    const digestId = new mongoose.Types.ObjectId();
+    const updateMany = jest
+      .spyOn(Notification, "updateMany")
+      .mockResolvedValue({});
+
+    await Notification.markDigestDelivered(digestId);
+
+    expect(updateMany).toHaveBeenCalledWith(
+      { digestNotificationId: digestId, status: "held" },
+      expect.objectContaining({ status: "sent", deliveredVia: "digest" })
+    );
+  });
+});
@@ -0,0 +1,41 @@
+const express = require("express");
+const request = require("supertest");
+const trackingService = require("../services/trackingService");
+const notificationRoutes = require("../routes/notification");
+
+describe("GET /notifications/engagement", () => {
+  const app = express();
+  app.use("/notifications", notificationRoutes);
+
+  beforeEach(() => {
+    jest
+      .spyOn(trackingService, "getStats")
+      .mockResolvedValue({ total: {}, groups: [] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it.each([
+    ["category[$ne]=x"],
+    ["templateId[$ne]=x"],
+    ["templateId=not-an-id"],
+  ])("rejects %s", async (queryString) => {
+    const res = await request(app).get(
+      `/notifications/engagement?${queryString}`
+    );
+
+    expect(res.status).toBe(400);
+    expect(trackingService.getStats).not.toHaveBeenCalled();
+  });
+
+  it("passes string filters through", async () => {
+    const res = await request(app).get(
+      "/notifications/engagement?category=marketing&groupBy=day"
+    );
+
+    expect(res.status).toBe(200);
+    expect(trackingService.getStats).toHaveBeenCalledWith(
+      expect.objectContaining({ category: "marketing", groupBy: "day" })
+    );
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock("../services/queueService", () => ({
+  addToQueue: jest.fn(),
+  removeJob: jest.fn(),
+}));
+
+const express = require("express");
+const request = require("supertest");
+const Notification = require("../models/Notification");
+const UserPreference = require("../models/UserPreference");
+const { addToQueue } = require("../services/queueService");
+const notificationRoutes = require("../routes/notification");
+
+const buildNotification = (type, fallback) =>
+  new Notification({
+    userId: "user-1",
+    type,
+    message: "Server is down",
+    recipient: type === "in-app" ? undefined : "+15550001111",
+    fallback,
+  });
+
+describe("fallback timeout checks", () => {
+  const callbackUrl = process.env.TWILIO_STATUS_CALLBACK_URL;
+
+  afterEach(() => {
+    process.env.TWILIO_STATUS_CALLBACK_URL = callbackUrl;
+    if (callbackUrl === undefined) {
+      delete process.env.TWILIO_STATUS_CALLBACK_URL;
+    }
+  });
+
+  it("schedules a check for in-app notifications, which confirm when seen", () => {
+    const notification = buildNotification("in-app", {
+      channels: ["sms"],
+      timeout: 60000,
+    });
+
+    expect(notification.needsFallbackCheck()).toBe(true);
+  });
+
+  it("never schedules a check for email, which has no delivery receipts", () => {
+    const notification = buildNotification("email", {
+      channels: ["sms"],
+      timeout: 60000,
+    });
+
+    expect(notification.needsFallbackCheck()).toBe(false);
+  });
+
+  it("schedules a check for SMS only when status callbacks are configured", () => {
+    const notification = buildNotification("sms", {
+      channels: ["email"],
+      timeout: 60000,
+    });
+
+    delete process.env.TWILIO_STATUS_CALLBACK_URL;
+    expect(notification.needsFallbackCheck()).toBe(false);
+
+    process.env.TWILIO_STATUS_CALLBACK_URL = "https://example.com/status";
+    expect(notification.needsFallbackCheck()).toBe(true);
+  });
+
+  it("does not schedule a check without a timeout or remaining channels", () => {
+    expect(
+      buildNotification("in-app", { channels: ["sms"] }).needsFallbackCheck()
+    ).toBe(false);
+    expect(
+      buildNotification("in-app", {
+        channels: [],
+        timeout: 60000,
+      }).needsFallbackCheck()
+    ).toBe(false);
+  });
+});
+
+describe("POST /notifications fallbackTimeout validation", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/notifications", notificationRoutes);
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("rejects a timeout on a channel that cannot confirm delivery", async () => {
+    const res = await request(app)
+      .post("/notifications")
+      .send({
+        userId: "user-1",
+        type: "email",
+        subject: "Alert",
+        message: "Server is down",
+        recipient: "ops@example.com",
+        fallbackChannels: ["sms"],
+        fallbackTimeout: 60000,
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ path: "fallbackTimeout" }),
+      ])
+    );
+  });
+
+  it("stores a timeout on an in-app step and queues it", async () => {
+    const saved = [];
+    jest
+      .spyOn(Notification.prototype, "save")
+      .mockImplementation(async function () {
+        saved.push(this);
+        return this;
+      });
+    jest.spyOn(UserPreference, "getSuppressionReason").mockResolvedValue(null);
+    addToQueue.mockResolvedValue({ id: "job-1" });
+
+    const res = await request(app)
+      .post("/notifications")
+      .send({
+        userId: "user-1",
+        type: "in-app",
+        message: "Server is down",
+        fallbackChannels: ["sms"],
+        fallbackTimeout: 60000,
+        recipients: { sms: "+15550001111" },
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: "queued", jobId: "job-1" });
+
+    const [notification] = saved;
+    expect(notification.fallback.timeout).toBe(60000);
+    expect(notification.fallback.channels).toEqual(["sms"]);
+    expect(notification.needsFallbackCheck()).toBe(true);
+    expect(addToQueue).toHaveBeenCalledWith(notification, "medium");
+  });
+});
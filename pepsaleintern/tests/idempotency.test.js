@@ -0,0 +1,155 @@
+jest.mock("../services/queueService", () => ({
+  addToQueue: jest.fn(),
+  removeJob: jest.fn(),
+}));
+
+const express = require("express");
+const request = require("supertest");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const notificationRoutes = require("../routes/notification");
+const idempotency = require("../middleware/idempotency");
+
+const payload = {
+  userId: "user-1",
+  type: "in-app",
+  message: "Your export is ready",
+};
+
+const existing = (fields) => ({
+  record: new IdempotencyKey({
+    scope: "POST /notifications",
+    key: "export-42",
+    requestHash: IdempotencyKey.hashPayload(payload),
+    expiresAt: new Date(Date.now() + 60000),
+    ...fields,
+  }),
+  created: false,
+});
+
+describe("POST /notifications with an Idempotency-Key", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/notifications", notificationRoutes);
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("returns 409 when the key was used with a different payload", async () => {
+    const claim = jest
+      .spyOn(IdempotencyKey, "claim")
+      .mockResolvedValue(existing({ status: "completed" }));
+
+    const res = await request(app)
+      .post("/notifications")
+      .set("Idempotency-Key", "export-42")
+      .send({ ...payload, message: "Something else" });
+
+    expect(res.status).toBe(409);
+    expect(res.body.success).toBe(false);
+    expect(claim).toHaveBeenCalledWith(
+      "POST /notifications",
+      "export-42",
+      IdempotencyKey.hashPayload({ ...payload, message: "Something else" }),
+      expect.any(Number)
+    );
+  });
+
+  it("returns 409 while the first request is still in progress", async () => {
+    jest.spyOn(IdempotencyKey, "claim").mockResolvedValue(existing());
+
+    const res = await request(app)
+      .post("/notifications")
+      .set("Idempotency-Key", "export-42")
+      .send(payload);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.message).toMatch(/in progress/);
+  });
+
+  it("replays the stored response for a repeat of the request", async () => {
+    const responseBody = { success: true, data: { notificationId: "n-1" } };
+    jest.spyOn(IdempotencyKey, "claim").mockResolvedValue(
+      existing({
+        status: "completed",
+        responseStatus: 201,
+        responseBody,
+      })
+    );
+
+    // Key order does not change the payload hash
+    const res = await request(app).post("/notifications").send({
+      message: payload.message,
+      type: payload.type,
+      userId: payload.userId,
+      idempotencyKey: "export-42",
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.headers["idempotent-replayed"]).toBe("true");
+    expect(res.body).toEqual(responseBody);
+  });
+});
+
+describe("idempotency key release", () => {
+  const app = express();
+  app.use(express.json());
+  app.post("/things", idempotency("POST /things"), (req, res) => {
+    switch (req.body.outcome) {
+      case "created":
+        return res.status(201).json({ success: true });
+      case "invalid":
+        return res.status(400).json({ success: false });
+      case "failed":
+        return res.status(500).json({ success: false });
+      default:
+        return res.status(204).end();
+    }
+  });
+
+  let record;
+
+  beforeEach(() => {
+    record = {
+      complete: jest.fn(async () => record),
+      deleteOne: jest.fn(async () => ({})),
+    };
+    jest
+      .spyOn(IdempotencyKey, "claim")
+      .mockResolvedValue({ record, created: true });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const send = async (outcome) => {
+    const res = await request(app)
+      .post("/things")
+      .set("Idempotency-Key", "thing-1")
+      .send({ outcome });
+    // Let the response's finish event run
+    await new Promise((resolve) => setImmediate(resolve));
+    return res;
+  };
+
+  it("stores a successful response", async () => {
+    await send("created");
+
+    expect(record.complete).toHaveBeenCalledWith(201, { success: true });
+    expect(record.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it.each(["invalid", "failed"])(
+    "releases the key when the request is %s, so a retry can use it",
+    async (outcome) => {
+      await send(outcome);
+
+      expect(record.deleteOne).toHaveBeenCalledTimes(1);
+      expect(record.complete).not.toHaveBeenCalled();
+    }
+  );
+
+  it("releases the key when no body was sent", async () => {
+    await send("empty");
+
+    expect(record.deleteOne).toHaveBeenCalledTimes(1);
+    expect(record.complete).not.toHaveBeenCalled();
+  });
+});
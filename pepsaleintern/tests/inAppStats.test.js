@@ -0,0 +1,92 @@
+const inAppService = require("../services/inAppService");
+
+describe("inAppService.getSeriesStart", () => {
+  const now = new Date("2026-03-10T15:30:45.500Z");
+
+  it("starts at UTC midnight of the oldest day", () => {
+    expect(inAppService.getSeriesStart(7, "UTC", now).toISOString()).toBe(
+      "2026-03-04T00:00:00.000Z"
+    );
+  });
+
+  it("starts at local midnight in the requested timezone", () => {
+    // 2026-03-10T15:30Z is 11:30 in New York (EDT, UTC-4)
+    expect(
+      inAppService.getSeriesStart(1, "America/New_York", now).toISOString()
+    ).toBe("2026-03-10T04:00:00.000Z");
+  });
+
+  it("begins the zero-filled series on the first counted day", () => {
+    const since = inAppService.getSeriesStart(30, "Asia/Tokyo", now);
+    const series = inAppService.fillTimeSeries([], 30, "Asia/Tokyo", now);
+    const localDate = new Intl.DateTimeFormat("en-CA", {
+      timeZone: "Asia/Tokyo",
+    }).format(since);
+
+    expect(series).toHaveLength(30);
+    expect(series[0]).toEqual({
+      date: localDate,
+      total: 0,
+      sent: 0,
+      failed: 0,
+      read: 0,
+    });
+    expect(series[29].date).toBe("2026-03-11");
+  });
+
+  describe("around DST changes", () => {
+    it("starts at midnight before clocks go forward", () => {
+      // New York moves to EDT on 2026-03-08
+      expect(
+        inAppService.getSeriesStart(3, "America/New_York", now).toISOString()
+      ).toBe("2026-03-08T05:00:00.000Z");
+    });
+
+    it("starts at midnight before clocks go back", () => {
+      // New York moves back to EST on 2026-11-01
+      expect(
+        inAppService
+          .getSeriesStart(
+            2,
+            "America/New_York",
+            new Date("2026-11-02T12:00:00Z")
+          )
+          .toISOString()
+      ).toBe("2026-11-01T04:00:00.000Z");
+    });
+
+    it("starts when the clocks skip midnight", () => {
+      // Santiago goes from 00:00 straight to 01:00 on 2026-09-06
+      expect(
+        inAppService
+          .getSeriesStart(
+            1,
+            "America/Santiago",
+            new Date("2026-09-06T12:00:00Z")
+          )
+          .toISOString()
+      ).toBe("2026-09-06T04:00:00.000Z");
+    });
+
+    it("neither skips nor repeats a day", () => {
+      // 00:30 EDT on the day after clocks went forward
+      const justAfterMidnight = new Date("2026-03-09T04:30:00Z");
+
+      expect(
+        inAppService
+          .fillTimeSeries([], 2, "America/New_York", justAfterMidnight)
+          .map((entry) => entry.date)
+      ).toEqual(["2026-03-08", "2026-03-09"]);
+      expect(
+        inAppService
+          .fillTimeSeries(
+            [],
+            3,
+            "Europe/London",
+            new Date("2026-10-26T23:30:00Z")
+          )
+          .map((entry) => entry.date)
+      ).toEqual(["2026-10-24", "2026-10-25", "2026-10-26"]);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const localeService = require("../services/localeService");
+
+describe("localeService.getFallbackChain", () => {
+  it("drops subtags one at a time, then falls back to the default", () => {
+    expect(localeService.getFallbackChain("pt-BR", "en")).toEqual([
+      "pt-BR",
+      "pt",
+      "en",
+    ]);
+    expect(localeService.getFallbackChain("zh-Hant-TW", "en")).toEqual([
+      "zh-Hant-TW",
+      "zh-Hant",
+      "zh",
+      "en",
+    ]);
+  });
+
+  it("normalizes the tag before splitting it", () => {
+    expect(localeService.getFallbackChain("PT-br", "en")).toEqual([
+      "pt-BR",
+      "pt",
+      "en",
+    ]);
+  });
+
+  it("does not repeat the default", () => {
+    expect(localeService.getFallbackChain("en-GB", "en")).toEqual([
+      "en-GB",
+      "en",
+    ]);
+  });
+
+  it("uses only the default for a missing or invalid tag", () => {
+    expect(localeService.getFallbackChain(undefined, "en")).toEqual(["en"]);
+    expect(localeService.getFallbackChain("not a locale!", "en")).toEqual([
+      "en",
+    ]);
+  });
+});
+
+describe("localeService.translate", () => {
+  it("falls back to the base language", () => {
+    expect(localeService.translate("titles.alert", "pt-BR")).toBe(
+      "Alerta importante"
+    );
+  });
+
+  it("fills parameters", () => {
+    expect(
+      localeService.translate("email.automatedMessage", "en", {
+        serviceName: "Acme",
+      })
+    ).toBe("This is an automated message from Acme.");
+  });
+
+  it("returns the key when no catalog has it", () => {
+    expect(localeService.translate("missing.key", "fr")).toBe("missing.key");
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock("../services/queueService", () => ({
+  deferNotification: jest.fn(),
+  consumeRateLimits: jest.fn(),
+  acquireProviderToken: jest.fn(),
+  releaseProviderToken: jest.fn(),
+  backOffProvider: jest.fn(),
+  addFallbackCheck: jest.fn(),
+}));
+
+const queueService = require("../services/queueService");
+const Notification = require("../models/Notification");
+const UserPreference = require("../models/UserPreference");
+const localeService = require("../services/localeService");
+const smsService = require("../services/smsService");
+const twilioWebhookService = require("../services/twilioWebhookService");
+const { processNotification } = require("../services/notificationProcessor");
+
+const job = (notification) => ({
+  id: "job-1",
+  attemptsMade: 0,
+  data: { notificationId: notification._id.toString(), type: "sms" },
+});
+
+describe("provider tokens and user rate limits", () => {
+  let notification;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    notification = new Notification({
+      userId: "user-1",
+      type: "sms",
+      message: "Your code is 1234",
+      recipient: "+15550001111",
+    });
+    notification.save = jest.fn(async () => notification);
+    jest.spyOn(Notification, "findById").mockResolvedValue(notification);
+    jest.spyOn(UserPreference, "findOne").mockResolvedValue(null);
+    jest
+      .spyOn(localeService, "resolveForNotification")
+      .mockResolvedValue({ locale: "en", timezone: "UTC" });
+    queueService.acquireProviderToken.mockResolvedValue(0);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("returns the token when a user limit defers the send", async () => {
+    const retryAt = new Date(Date.now() + 60000);
+    queueService.consumeRateLimits.mockResolvedValue({
+      policy: "defer",
+      reason: "User rate limit",
+      retryAt,
+    });
+
+    const result = await processNotification(job(notification));
+
+    expect(result).toEqual({ status: "deferred", until: retryAt });
+    expect(queueService.releaseProviderToken).toHaveBeenCalledWith("sms");
+    // Deferring does not count as an attempt
+    expect(notification.attempts).toBe(0);
+  });
+
+  it("returns the token when a user limit drops the send", async () => {
+    queueService.consumeRateLimits.mockResolvedValue({
+      policy: "drop",
+      reason: "User rate limit",
+    });
+    jest
+      .spyOn(notification, "markAsSuppressed")
+      .mockResolvedValue(notification);
+
+    const result = await processNotification(job(notification));
+
+    expect(result.status).toBe("suppressed");
+    expect(queueService.releaseProviderToken).toHaveBeenCalledWith("sms");
+  });
+
+  it("keeps the token when the send goes ahead", async () => {
+    queueService.consumeRateLimits.mockResolvedValue(null);
+    jest.spyOn(smsService, "sendSMS").mockResolvedValue({ messageSid: "SM1" });
+    jest
+      .spyOn(notification, "incrementAttempts")
+      .mockResolvedValue(notification);
+    jest.spyOn(notification, "markAsSent").mockResolvedValue(notification);
+    jest
+      .spyOn(twilioWebhookService, "applyPendingEvents")
+      .mockResolvedValue(undefined);
+
+    const result = await processNotification(job(notification));
+
+    expect(result.status).toBe("sent");
+    expect(queueService.releaseProviderToken).not.toHaveBeenCalled();
+  });
+
+  it("does not take part in user limits while waiting for the provider", async () => {
+    queueService.acquireProviderToken.mockResolvedValue(500);
+
+    const result = await processNotification(job(notification));
+
+    expect(result.status).toBe("deferred");
+    expect(queueService.consumeRateLimits).not.toHaveBeenCalled();
+    expect(queueService.releaseProviderToken).not.toHaveBeenCalled();
+  });
+});
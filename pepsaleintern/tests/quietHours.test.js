@@ -0,0 +1,74 @@
+const UserPreference = require("../models/UserPreference");
+
+const buildPreference = (quietHours, timezone = "UTC") =>
+  new UserPreference({
+    userId: "user-1",
+    timezone,
+    quietHours: { enabled: true, channels: ["email", "sms"], ...quietHours },
+  });
+
+describe("UserPreference#getQuietHoursEnd", () => {
+  it("returns the end of a window that wraps past midnight", () => {
+    const preference = buildPreference({ start: "22:00", end: "07:00" });
+
+    expect(
+      preference.getQuietHoursEnd("email", new Date("2026-03-10T23:30:00Z"))
+    ).toEqual(new Date("2026-03-11T07:00:00Z"));
+    expect(
+      preference.getQuietHoursEnd("email", new Date("2026-03-11T06:15:30Z"))
+    ).toEqual(new Date("2026-03-11T07:00:00Z"));
+  });
+
+  it("returns the end of a window within one day", () => {
+    const preference = buildPreference({ start: "12:00", end: "14:00" });
+
+    expect(
+      preference.getQuietHoursEnd("sms", new Date("2026-03-10T13:00:00Z"))
+    ).toEqual(new Date("2026-03-10T14:00:00Z"));
+  });
+
+  it("returns null outside the window", () => {
+    const preference = buildPreference({ start: "22:00", end: "07:00" });
+
+    expect(
+      preference.getQuietHoursEnd("email", new Date("2026-03-10T07:00:00Z"))
+    ).toBeNull();
+    expect(
+      preference.getQuietHoursEnd("email", new Date("2026-03-10T21:59:00Z"))
+    ).toBeNull();
+  });
+
+  it("uses the user's timezone", () => {
+    const preference = buildPreference(
+      { start: "22:00", end: "07:00" },
+      "America/New_York"
+    );
+
+    // 23:30 in New York (UTC-4 in July)
+    expect(
+      preference.getQuietHoursEnd("email", new Date("2026-07-11T03:30:00Z"))
+    ).toEqual(new Date("2026-07-11T11:00:00Z"));
+    // 23:30 UTC is 19:30 in New York
+    expect(
+      preference.getQuietHoursEnd("email", new Date("2026-07-10T23:30:00Z"))
+    ).toBeNull();
+  });
+
+  it("ignores channels outside the window and disabled quiet hours", () => {
+    const now = new Date("2026-03-10T23:30:00Z");
+
+    expect(
+      buildPreference({ start: "22:00", end: "07:00" }).getQuietHoursEnd(
+        "in-app",
+        now
+      )
+    ).toBeNull();
+    expect(
+      buildPreference({
+        start: "22:00",
+        end: "07:00",
+        enabled: false,
+      }).getQuietHoursEnd("email", now)
+    ).toBeNull();
+  });
+});
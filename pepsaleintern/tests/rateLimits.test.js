@@ -0,0 +1,159 @@
+process.env.RATE_LIMITS = JSON.stringify([
+  { scope: "recipient", channel: "sms", limit: 2, window: 60 },
+  { scope: "category", category: "marketing", limit: 1, window: 3600 },
+  { scope: "user", limit: 10, window: 86400, policy: "drop" },
+]);
+
+const counters = new Map();
+const mockClient = {
+  connect: jest.fn(async () => {}),
+  multi() {
+    const ops = [];
+    const chain = {
+      incr: (key) => {
+        ops.push(() => {
+          counters.set(key, (counters.get(key) || 0) + 1);
+          return counters.get(key);
+        });
+        return chain;
+      },
+      pExpire: () => {
+        ops.push(() => true);
+        return chain;
+      },
+      exec: async () => ops.map((op) => op()),
+    };
+    return chain;
+  },
+  decr: jest.fn(async (key) => {
+    counters.set(key, counters.get(key) - 1);
+    return counters.get(key);
+  }),
+};
+
+jest.mock("redis", () => ({ createClient: () => mockClient }));
+jest.mock("bull", () =>
+  jest.fn().mockImplementation(() => ({
+    on: jest.fn(),
+    process: jest.fn(),
+    add: jest.fn(async () => ({})),
+  }))
+);
+
+const Notification = require("../models/Notification");
+const {
+  initQueue,
+  consumeRateLimits,
+  deferNotification,
+  getQueue,
+} = require("../services/queueService");
+
+const NOW = Date.UTC(2026, 2, 10, 12, 34, 56);
+
+const buildSms = (metadata) =>
+  new Notification({
+    userId: "user-1",
+    type: "sms",
+    recipient: "+15550001111",
+    message: "Flash sale",
+    metadata,
+  });
+
+describe("queueService.consumeRateLimits", () => {
+  beforeAll(() => initQueue());
+
+  beforeEach(() => {
+    counters.clear();
+    jest.clearAllMocks();
+    jest.spyOn(Date, "now").mockReturnValue(NOW);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("counts each matching rule under a key per scope, filter and window", async () => {
+    expect(await consumeRateLimits(buildSms({ category: "marketing" }))).toBe(
+      null
+    );
+
+    expect([...counters.keys()]).toEqual([
+      `ratelimit:recipient:sms:any:60:+15550001111:${Date.UTC(2026, 2, 10, 12, 34)}`,
+      `ratelimit:category:any:marketing:3600:user-1:marketing:${Date.UTC(2026, 2, 10, 12)}`,
+      `ratelimit:user:any:any:86400:user-1:${Date.UTC(2026, 2, 10)}`,
+    ]);
+  });
+
+  it("skips rules for other channels and categories", async () => {
+    const inApp = new Notification({
+      userId: "user-1",
+      type: "in-app",
+      message: "Welcome",
+    });
+
+    await consumeRateLimits(inApp);
+
+    expect([...counters.keys()]).toEqual([
+      `ratelimit:user:any:any:86400:user-1:${Date.UTC(2026, 2, 10)}`,
+    ]);
+  });
+
+  it("defers to the end of the window and gives back the counts taken", async () => {
+    await consumeRateLimits(buildSms({ category: "marketing" }));
+
+    const limited = await consumeRateLimits(
+      buildSms({ category: "marketing" })
+    );
+
+    expect(limited).toMatchObject({
+      policy: "defer",
+      retryAt: new Date(Date.UTC(2026, 2, 10, 13)),
+    });
+    expect(limited.rule.scope).toBe("category");
+    // Only the first send is counted
+    expect([...counters.values()]).toEqual([1, 1, 1]);
+  });
+});
+
+describe("queueService.deferNotification", () => {
+  beforeAll(() => initQueue());
+
+  const defer = async (notification) => {
+    const { add } = getQueue("sms");
+    add.mockClear().mockResolvedValue({ id: "job-2" });
+    await deferNotification(
+      notification,
+      new Date(Date.now() + 60000),
+      "Quiet hours"
+    );
+    return add.mock.calls[0][2];
+  };
+
+  it("gives the new job only the attempts the notification has left", async () => {
+    const notification = buildSms();
+    notification.save = jest.fn(async () => notification);
+    notification.maxAttempts = 3;
+    notification.attempts = 1;
+
+    expect((await defer(notification)).attempts).toBe(2);
+    expect(notification.status).toBe("scheduled");
+    expect(notification.jobId).toBe("job-2");
+  });
+
+  it("does not use up attempts when deferred repeatedly", async () => {
+    const notification = buildSms();
+    notification.save = jest.fn(async () => notification);
+    notification.maxAttempts = 3;
+
+    expect((await defer(notification)).attempts).toBe(3);
+    expect((await defer(notification)).attempts).toBe(3);
+    expect(notification.attempts).toBe(0);
+  });
+
+  it("always leaves the new job one attempt", async () => {
+    const notification = buildSms();
+    notification.save = jest.fn(async () => notification);
+    notification.maxAttempts = 3;
+    notification.attempts = 3;
+
+    expect((await defer(notification)).attempts).toBe(1);
+  });
+});
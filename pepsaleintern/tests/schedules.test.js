@@ -0,0 +1,116 @@
+jest.mock("../services/queueService", () => ({
+  addRecurringJob: jest.fn(async () => "new-key"),
+  removeRecurringJob: jest.fn(async () => {}),
+}));
+
+const express = require("express");
+const request = require("supertest");
+const RecurringSchedule = require("../models/RecurringSchedule");
+const {
+  addRecurringJob,
+  removeRecurringJob,
+} = require("../services/queueService");
+const scheduleRoutes = require("../routes/schedules");
+
+describe("PUT /schedules/:id", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/schedules", scheduleRoutes);
+
+  let schedule;
+  const calls = [];
+
+  beforeEach(() => {
+    calls.length = 0;
+    jest.clearAllMocks();
+
+    schedule = new RecurringSchedule({
+      name: "Weekly report",
+      userId: "user-1",
+      type: "email",
+      cron: "0 9 * * 1",
+      payload: {
+        subject: "Your weekly report",
+        message: "Here is your report",
+        recipient: "user@example.com",
+      },
+      status: "active",
+      repeatJobKey: "old-key",
+    });
+    schedule.save = jest.fn(async () => {
+      calls.push("save");
+      return schedule;
+    });
+    addRecurringJob.mockImplementation(async () => {
+      calls.push("add");
+      return "new-key";
+    });
+    removeRecurringJob.mockImplementation(async () => {
+      calls.push("remove");
+    });
+    jest.spyOn(RecurringSchedule, "findById").mockResolvedValue(schedule);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const update = (body) =>
+    request(app).put(`/schedules/${schedule._id}`).send(body);
+
+  it("merges a partial payload into the stored one", async () => {
+    const res = await update({ payload: { subject: "New subject" } });
+
+    expect(res.status).toBe(200);
+    expect(schedule.payload.subject).toBe("New subject");
+    expect(schedule.payload.message).toBe("Here is your report");
+    expect(schedule.payload.recipient).toBe("user@example.com");
+  });
+
+  it("rejects an update that leaves an email schedule without a subject", async () => {
+    const res = await update({ payload: { subject: null } });
+
+    expect(res.status).toBe(400);
+    expect(schedule.save).not.toHaveBeenCalled();
+  });
+
+  it("rejects a category users cannot set preferences for", async () => {
+    const res = await update({
+      payload: { metadata: { category: "billing" } },
+    });
+
+    expect(res.status).toBe(400);
+    expect(
+      new Set(res.body.error.details.map((detail) => detail.path))
+    ).toEqual(new Set(["payload.metadata.category"]));
+    expect(schedule.save).not.toHaveBeenCalled();
+  });
+
+  it("rejects switching an in-app schedule to SMS without a recipient", async () => {
+    schedule.type = "in-app";
+    schedule.payload.recipient = undefined;
+
+    const res = await update({ type: "sms" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toMatch(/Recipient is required/);
+    expect(schedule.save).not.toHaveBeenCalled();
+  });
+
+  it("swaps the repeatable job only after the schedule is saved", async () => {
+    const res = await update({ cron: "0 10 * * 1" });
+
+    expect(res.status).toBe(200);
+    expect(calls).toEqual(["save", "add", "save", "remove"]);
+    expect(removeRecurringJob).toHaveBeenCalledWith("old-key");
+    expect(schedule.repeatJobKey).toBe("new-key");
+  });
+
+  it("keeps the old repeatable job when saving fails", async () => {
+    schedule.save.mockRejectedValueOnce(new Error("write conflict"));
+
+    const res = await update({ cron: "0 10 * * 1" });
+
+    expect(res.status).toBe(500);
+    expect(removeRecurringJob).not.toHaveBeenCalled();
+    expect(addRecurringJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,11 @@
+// utils/logger is provided by the deployment; tests only need a silent one
+jest.mock(
+  "../utils/logger",
+  () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  }),
+  { virtual: true }
+);
@@ -0,0 +1,113 @@
+// config/urls reads the base URL when it is loaded
+process.env.PUBLIC_BASE_URL = "https://notify.example.com";
+
+const jwt = require("jsonwebtoken");
+const Notification = require("../models/Notification");
+const trackingService = require("../services/trackingService");
+const unsubscribeService = require("../services/unsubscribeService");
+
+const buildEmail = () =>
+  new Notification({
+    userId: "user-1",
+    type: "email",
+    recipient: "user@example.com",
+    subject: "Your order shipped",
+    message: "Track your parcel",
+  });
+
+describe("trackingService tokens", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.TRACKING_SECRET;
+    process.env.JWT_SECRET = "jwt-secret";
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("round-trips the notification and link through a signed token", () => {
+    const notification = buildEmail();
+    const token = trackingService.createToken(
+      notification,
+      "https://shop.example.com/orders/42"
+    );
+
+    expect(trackingService.verifyToken(token)).toEqual({
+      notificationId: notification._id.toString(),
+      url: "https://shop.example.com/orders/42",
+    });
+  });
+
+  it("rejects links swapped into a token", () => {
+    const token = trackingService.createToken(
+      buildEmail(),
+      "https://shop.example.com/orders/42"
+    );
+    const [header, payload, signature] = token.split(".");
+    const swapped = Buffer.from(
+      JSON.stringify({
+        ...JSON.parse(Buffer.from(payload, "base64url").toString()),
+        url: "https://evil.example.com",
+      })
+    ).toString("base64url");
+
+    expect(
+      trackingService.verifyToken(`${header}.${swapped}.${signature}`)
+    ).toBeNull();
+  });
+
+  it("does not accept socket auth or unsubscribe tokens", () => {
+    const notification = buildEmail();
+
+    expect(
+      trackingService.verifyToken(
+        jwt.sign({ sub: notification._id.toString() }, "jwt-secret")
+      )
+    ).toBeNull();
+    expect(
+      trackingService.verifyToken(
+        unsubscribeService.createToken("user-1", "marketing")
+      )
+    ).toBeNull();
+  });
+
+  it("does not sign with JWT_SECRET itself", () => {
+    const token = trackingService.createToken(buildEmail());
+
+    expect(() => jwt.verify(token, "jwt-secret")).toThrow();
+  });
+
+  it("rejects every token when no secret is configured", () => {
+    const token = trackingService.createToken(buildEmail());
+    delete process.env.JWT_SECRET;
+
+    expect(trackingService.verifyToken(token)).toBeNull();
+  });
+});
+
+describe("trackingService.instrumentHtml", () => {
+  beforeEach(() => {
+    process.env.TRACKING_SECRET = "tracking-secret";
+  });
+
+  afterEach(() => {
+    delete process.env.TRACKING_SECRET;
+  });
+
+  it("tracks external links and leaves links to this service alone", () => {
+    const html = trackingService.instrumentHtml(
+      '<body><a href="https://shop.example.com/a?b=1&amp;c=2">Shop</a>' +
+        '<a href="https://notify.example.com/unsubscribe/x">Unsubscribe</a></body>',
+      buildEmail()
+    );
+
+    const [, clickToken] = html.match(/\/track\/click\/([^"]+)"/);
+    expect(trackingService.verifyToken(clickToken).url).toBe(
+      "https://shop.example.com/a?b=1&c=2"
+    );
+    expect(html).toContain('href="https://notify.example.com/unsubscribe/x"');
+    expect(html).toMatch(/<img src="[^"]+\/track\/open\/[^"]+"[^>]*><\/body>$/);
+  });
+});
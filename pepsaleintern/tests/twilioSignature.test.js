@@ -0,0 +1,97 @@
+jest.mock("../services/queueService", () => ({
+  deferNotification: jest.fn(),
+}));
+jest.mock("../services/notificationProcessor", () => ({
+  failNotification: jest.fn(),
+}));
+
+const express = require("express");
+const request = require("supertest");
+const twilio = require("twilio");
+const twilioWebhookService = require("../services/twilioWebhookService");
+const webhookRoutes = require("../routes/webhooks");
+
+const AUTH_TOKEN = "twilio-auth-token";
+const BASE_URL = "https://notify.example.com";
+const params = { MessageSid: "SM123", MessageStatus: "delivered" };
+
+const sign = (body, url = `${BASE_URL}/webhooks/twilio/status`) =>
+  twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, body);
+
+describe("POST /webhooks/twilio/status signature check", () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use("/webhooks", webhookRoutes);
+
+  const env = { ...process.env };
+  let handle;
+
+  beforeEach(() => {
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    process.env.TWILIO_WEBHOOK_BASE_URL = BASE_URL;
+    handle = jest
+      .spyOn(twilioWebhookService, "handleStatusCallback")
+      .mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it("accepts a correctly signed callback", async () => {
+    const res = await request(app)
+      .post("/webhooks/twilio/status")
+      .set("X-Twilio-Signature", sign(params))
+      .type("form")
+      .send(params);
+
+    expect(res.status).toBe(200);
+    expect(handle).toHaveBeenCalledWith(params);
+  });
+
+  it("rejects a callback whose parameters do not match the signature", async () => {
+    const res = await request(app)
+      .post("/webhooks/twilio/status")
+      .set("X-Twilio-Signature", sign(params))
+      .type("form")
+      .send({ ...params, MessageStatus: "undelivered" });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({
+      success: false,
+      error: { message: "Invalid Twilio signature" },
+    });
+    expect(handle).not.toHaveBeenCalled();
+  });
+
+  it("rejects a signature made for another URL", async () => {
+    const res = await request(app)
+      .post("/webhooks/twilio/status")
+      .set(
+        "X-Twilio-Signature",
+        sign(params, `${BASE_URL}/webhooks/twilio/inbound`)
+      )
+      .type("form")
+      .send(params);
+
+    expect(res.status).toBe(403);
+  });
+
+  it("rejects unsigned callbacks and callbacks without an auth token", async () => {
+    const unsigned = await request(app)
+      .post("/webhooks/twilio/status")
+      .type("form")
+      .send(params);
+    expect(unsigned.status).toBe(403);
+
+    delete process.env.TWILIO_AUTH_TOKEN;
+    const unconfigured = await request(app)
+      .post("/webhooks/twilio/status")
+      .set("X-Twilio-Signature", sign(params))
+      .type("form")
+      .send(params);
+    expect(unconfigured.status).toBe(403);
+    expect(handle).not.toHaveBeenCalled();
+  });
+});
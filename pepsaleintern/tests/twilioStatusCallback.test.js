@@ -0,0 +1,107 @@
+jest.mock("../services/queueService", () => ({
+  deferNotification: jest.fn(),
+}));
+jest.mock("../services/notificationProcessor", () => ({
+  failNotification: jest.fn(),
+}));
+
+const Notification = require("../models/Notification");
+const PendingDeliveryEvent = require("../models/PendingDeliveryEvent");
+const twilioWebhookService = require("../services/twilioWebhookService");
+
+const buildSent = () => {
+  const notification = new Notification({
+    userId: "user-1",
+    type: "sms",
+    message: "Your code is 1234",
+    recipient: "+15550001111",
+    status: "sent",
+    providerMessageId: "SM123",
+  });
+  notification.save = jest.fn(async () => notification);
+  return notification;
+};
+
+describe("Twilio status callbacks that arrive before the SID is stored", () => {
+  let pending;
+
+  beforeEach(() => {
+    pending = [];
+    jest
+      .spyOn(PendingDeliveryEvent, "create")
+      .mockImplementation(async (event) => {
+        pending.push({ at: new Date(), ...event });
+      });
+    jest
+      .spyOn(PendingDeliveryEvent, "findOneAndDelete")
+      .mockImplementation(async ({ providerMessageId }) => {
+        const index = pending.findIndex(
+          (event) => event.providerMessageId === providerMessageId
+        );
+        return index === -1 ? null : pending.splice(index, 1)[0];
+      });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("keeps the event instead of dropping it", async () => {
+    jest.spyOn(Notification, "findOne").mockResolvedValue(null);
+
+    const result = await twilioWebhookService.handleStatusCallback({
+      MessageSid: "SM123",
+      MessageStatus: "undelivered",
+      ErrorCode: "30003",
+    });
+
+    expect(result).toBeNull();
+    expect(pending).toEqual([
+      expect.objectContaining({
+        providerMessageId: "SM123",
+        status: "undelivered",
+        errorCode: "30003",
+      }),
+    ]);
+  });
+
+  it("applies the held event once the worker stores the SID", async () => {
+    jest.spyOn(Notification, "findOne").mockResolvedValue(null);
+    await twilioWebhookService.handleStatusCallback({
+      MessageSid: "SM123",
+      MessageStatus: "undelivered",
+      ErrorCode: "30003",
+    });
+
+    const notification = buildSent();
+    const handleUndelivered = jest
+      .spyOn(twilioWebhookService, "handleUndelivered")
+      .mockResolvedValue({ status: "retrying" });
+
+    await twilioWebhookService.applyPendingEvents(notification);
+
+    expect(notification.deliveryEvents.map((event) => event.status)).toEqual([
+      "undelivered",
+    ]);
+    expect(handleUndelivered).toHaveBeenCalledWith(
+      notification,
+      "undelivered",
+      "30003"
+    );
+    expect(pending).toHaveLength(0);
+  });
+
+  it("applies the event itself when the SID is stored meanwhile", async () => {
+    const notification = buildSent();
+    jest
+      .spyOn(Notification, "findOne")
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(notification);
+
+    await twilioWebhookService.handleStatusCallback({
+      MessageSid: "SM123",
+      MessageStatus: "delivered",
+    });
+
+    expect(notification.deliveredAt).toBeInstanceOf(Date);
+    expect(pending).toHaveLength(0);
+  });
+});
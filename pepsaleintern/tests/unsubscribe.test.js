@@ -0,0 +1,82 @@
+// config/urls reads the base URL when it is loaded
+process.env.PUBLIC_BASE_URL = "https://notify.example.com";
+
+const jwt = require("jsonwebtoken");
+const Notification = require("../models/Notification");
+const unsubscribeService = require("../services/unsubscribeService");
+
+describe("unsubscribeService", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.UNSUBSCRIBE_SECRET;
+    delete process.env.UNSUBSCRIBE_TOKEN_TTL;
+    process.env.JWT_SECRET = "jwt-secret";
+    process.env.PUBLIC_BASE_URL = "https://notify.example.com";
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("round-trips the user and category through a signed token", () => {
+    const token = unsubscribeService.createToken("user-1", "marketing");
+
+    expect(unsubscribeService.verifyToken(token)).toEqual({
+      userId: "user-1",
+      category: "marketing",
+    });
+  });
+
+  it("rejects tampered tokens", () => {
+    const token = unsubscribeService.createToken("user-1", "marketing");
+    const [header, , signature] = token.split(".");
+    const payload = Buffer.from(
+      JSON.stringify({ sub: "user-2", category: "marketing" })
+    ).toString("base64url");
+
+    expect(
+      unsubscribeService.verifyToken(`${header}.${payload}.${signature}`)
+    ).toBeNull();
+  });
+
+  it("does not sign with JWT_SECRET, so tokens cannot authenticate sockets", () => {
+    const token = unsubscribeService.createToken("user-1", "marketing");
+
+    expect(() => jwt.verify(token, "jwt-secret")).toThrow();
+  });
+
+  it("rejects socket auth tokens as unsubscribe tokens", () => {
+    const token = jwt.sign(
+      { sub: "user-1", category: "marketing" },
+      "jwt-secret"
+    );
+
+    expect(unsubscribeService.verifyToken(token)).toBeNull();
+  });
+
+  it("builds RFC 8058 headers from the public base URL", () => {
+    const notification = new Notification({
+      userId: "user-1",
+      type: "email",
+      message: "Sale",
+      metadata: { category: "marketing" },
+    });
+    const url = unsubscribeService.getUrl(notification);
+
+    expect(url).toMatch(/^https:\/\/notify\.example\.com\/unsubscribe\//);
+    expect(unsubscribeService.getHeaders(url)).toEqual({
+      "List-Unsubscribe": `<${url}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    });
+  });
+
+  it("reports missing signing secret and public base URL", () => {
+    expect(unsubscribeService.getConfigProblems()).toEqual([]);
+
+    delete process.env.JWT_SECRET;
+    delete process.env.PUBLIC_BASE_URL;
+
+    expect(unsubscribeService.getConfigProblems()).toHaveLength(2);
+  });
+});